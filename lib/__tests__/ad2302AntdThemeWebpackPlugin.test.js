@@ -19,12 +19,876 @@ const themeOptions = {
   // outputFilePath: path.join(__dirname, 'dist/color.less'),
 };
 
-// Const ad2302AntdThemeWebpackPlugin = require("../index.js");
-const { generateTheme } = require("../antd-theme-generator");
+const AntDesignThemePlugin = require("../index.js");
+const {
+  generateTheme,
+  buildTheme,
+  getThemeCacheKey,
+  compileThemePreset,
+  inspectThemeVariables
+} = require("../antd-theme-generator");
+const { writeFixture } = require("./fixtures");
+
+jest.setTimeout(30000);
+
+// Runs a compilation of a new plugin with pluginOptions, or of the plugin given instead
+function emit(pluginOptions, compilationOptions) {
+  const plugin =
+    pluginOptions instanceof AntDesignThemePlugin
+      ? pluginOptions
+      : new AntDesignThemePlugin(
+          Object.assign({}, themeOptions, pluginOptions)
+        );
+  const assets = {};
+  const compilation = Object.assign(
+    {
+      assets,
+      errors: [],
+      warnings: [],
+      fileDependencies: new Set(),
+      contextDependencies: new Set(),
+      emitAsset: (filename, source) => {
+        assets[filename] = source;
+      }
+    },
+    compilationOptions
+  );
+  return new Promise((resolve, reject) => {
+    plugin.addAssets(compilation, assets, err =>
+      err ? reject(err) : resolve(Object.assign(assets, { compilation }))
+    );
+  });
+}
+
+// Head tags the plugins inject into one html-webpack-plugin page
+async function injectHeadTags(plugins, compilationOptions) {
+  const taps = [];
+  class HtmlWebpackPlugin {
+    static getHooks() {
+      return {
+        alterAssetTagGroups: {
+          tapAsync: (name, fn) => taps.push(fn)
+        }
+      };
+    }
+  }
+  const compiler = { options: { plugins: [new HtmlWebpackPlugin()] } };
+  const compilation = Object.assign({ hooks: {} }, compilationOptions);
+  plugins.forEach(plugin =>
+    plugin.injectHtmlTags(compiler, compilation, "AntDesignThemePlugin")
+  );
+  let data = { headTags: [] };
+  for (const tap of taps) {
+    // eslint-disable-next-line no-await-in-loop
+    data = await new Promise(resolve =>
+      tap(data, (_, result) => resolve(result))
+    );
+  }
+
+  return data.headTags;
+}
 
 describe("ad2302AntdThemeWebpackPlugin", () => {
   it("has a test", async () => {
     const c = await generateTheme(themeOptions);
     assert(c.length > 0);
   });
+
+  it("reports the files the theme was generated from", async () => {
+    const { fileDependencies } = await buildTheme(themeOptions);
+    const antdStyle = path.join(themeOptions.antDir, "lib", "style");
+    assert(
+      fileDependencies.includes(path.join(antdStyle, "themes", "default.less"))
+    );
+    assert(
+      fileDependencies.includes(
+        path.join(themeOptions.antDir, "lib", "button", "style", "index.less")
+      )
+    );
+  });
+
+  it("generates css custom properties in css-variables mode", async () => {
+    const css = await generateTheme(
+      Object.assign({}, themeOptions, { outputMode: "css-variables" })
+    );
+    assert(css.startsWith(":root {--"));
+    assert(css.includes("--primary-color: #1890ff;"));
+    assert(css.includes("var(--primary-color)"));
+    assert(!css.includes("@primary-color"));
+  });
+
+  it("keeps theme colors inside media queries, @supports and keyframes", async () => {
+    const stylesDir = writeFixture({
+      "responsive.less": [
+        "@media (max-width: 575px) { .nav { color: @primary-color; width: 10px; } }",
+        "@media print { .print { width: 10px; } }",
+        "@supports (display: grid) { .grid { border-color: @primary-color; } }",
+        "@keyframes pulse { to { box-shadow: 0 0 0 4px @primary-color; } }",
+        "@font-face { font-family: x; src: url(x.woff); }"
+      ].join("\n")
+    });
+    const css = await generateTheme(
+      Object.assign({}, themeOptions, { stylesDir, localIdentName: "[local]" })
+    );
+    assert(
+      /@media \(max-width: 575px\) \{\s*\.nav \{color: @primary-color;\s*\}/.test(
+        css
+      )
+    );
+    assert(!css.includes("@media print"));
+    assert(
+      /@supports \(display: grid\) \{\s*\.grid \{border-color: @primary-color;/.test(
+        css
+      )
+    );
+    assert(
+      /@keyframes pulse \{\s*to \{box-shadow: 0 0 0 4px @primary-color;/.test(
+        css
+      )
+    );
+    assert(!css.includes("@font-face"));
+  });
+
+  it("keeps only declarations using theme variables in minimal mode", async () => {
+    const stylesDir = writeFixture({
+      "card.less": [
+        ".card { color: @primary-color; background: #fff; }",
+        ".card-title { color: #000; }",
+        ".card { border-color: @primary-color; }",
+        ".card { color: @primary-color; }"
+      ].join("\n")
+    });
+    const css = await generateTheme(
+      Object.assign({}, themeOptions, {
+        stylesDir,
+        localIdentName: "[local]",
+        minimal: true
+      })
+    );
+    assert(
+      css.includes(
+        ".card {border-color: @primary-color;color: @primary-color;}"
+      )
+    );
+    assert(!css.includes(".card-title"));
+    assert(!/\.ant-btn-primary \{color: #fff;/.test(css));
+    assert(/\.ant-btn-primary \{[^}]*@primary-color/.test(css));
+  });
+
+  it("prefixes every selector with scope", async () => {
+    const stylesDir = writeFixture({
+      "app.less": [
+        "body { color: @primary-color; }",
+        ".nav, .footer a { border-color: @primary-color; }",
+        "@keyframes pulse { to { box-shadow: 0 0 0 4px @primary-color; } }"
+      ].join("\n")
+    });
+    const options = Object.assign({}, themeOptions, {
+      stylesDir,
+      localIdentName: "[local]",
+      components: ["button"],
+      scope: ".tenant-a"
+    });
+    const css = await generateTheme(options);
+    assert(css.includes(".tenant-a {color: @primary-color;}"));
+    assert(
+      css.includes(
+        ".tenant-a .nav, .tenant-a .footer a {border-color: @primary-color;}"
+      )
+    );
+    assert(/\.tenant-a \.ant-btn-primary \{[^}]*@primary-color/.test(css));
+    assert(/@keyframes pulse \{\s*to \{/.test(css));
+    assert(!/^\.ant-btn/m.test(css));
+
+    const variables = await generateTheme(
+      Object.assign({}, options, { outputMode: "css-variables" })
+    );
+    assert(variables.startsWith(".tenant-a {--primary-color: #1890ff;"));
+  });
+
+  it("compiles antd's styles with the prefixes of varFile or prefixCls", async () => {
+    const varFile = path.join(
+      writeFixture({
+        "variables.less":
+          '@import "~antd/lib/style/themes/default.less";\n@ant-prefix: acme;\n@iconfont-css-prefix: acmeicon;'
+      }),
+      "variables.less"
+    );
+    const options = Object.assign({}, themeOptions, {
+      varFile,
+      themeVariables: ["@primary-color"],
+      components: ["button"]
+    });
+    const css = await generateTheme(options);
+    assert(/\.acme-btn-primary \{[^}]*@primary-color/.test(css));
+    assert(css.includes(".acmeicon {"));
+    assert(!css.includes(".ant-btn"));
+
+    const mixed = await generateTheme(
+      Object.assign({}, options, {
+        prefixCls: ["ant", "acme"],
+        iconPrefixCls: "anticon"
+      })
+    );
+    assert(/\.ant-btn-primary \{[^}]*@primary-color/.test(mixed));
+    assert(/\.acme-btn-primary \{[^}]*@primary-color/.test(mixed));
+    assert(mixed.includes(".anticon {"));
+    assert(!mixed.includes("acmeicon"));
+  });
+
+  it("resolves less imports with the resolve option", async () => {
+    const dir = writeFixture({
+      "shared/colors.less": "@primary-color: #722ed1;",
+      "shared/mixins.less": ".brand() { cursor: pointer; }",
+      "variables.less":
+        '@import "~antd/lib/style/themes/default.less";\n@import "~@shared/colors";\n',
+      "styles/app.less":
+        '@import "~@shared/mixins";\n.nav { .brand(); color: @primary-color; }'
+    });
+    const shared = path.join(dir, "shared");
+    const stylesDir = path.join(dir, "styles");
+    // Like a bundler alias, everything else from antd's node_modules
+    const resolve = async (context, request) =>
+      request.startsWith("@shared/")
+        ? path.join(shared, request.slice("@shared/".length))
+        : require.resolve(request, { paths: [themeOptions.antDir] });
+    const theme = await buildTheme(
+      Object.assign({}, themeOptions, {
+        stylesDir,
+        varFile: path.join(dir, "variables.less"),
+        localIdentName: "[local]",
+        themeVariables: ["@primary-color"],
+        components: ["button"],
+        resolve
+      })
+    );
+    assert.deepStrictEqual(theme.diagnostics, []);
+    assert.strictEqual(theme.variables["@primary-color"], "#722ed1");
+    assert(theme.css.includes(".nav {color: @primary-color;}"));
+    assert(theme.fileDependencies.includes(path.join(shared, "colors.less")));
+    assert(theme.fileDependencies.includes(path.join(shared, "mixins.less")));
+  });
+
+  it("compiles every step with lessOptions", async () => {
+    const stylesDir = writeFixture({
+      "app.less":
+        ".nav { color: @primary-color; border-color: @brand-border; background: brand-bg(); }"
+    });
+    const brandPlugin = {
+      install(less, pluginManager, functions) {
+        functions.add("brand-bg", () => new less.tree.Color("abcdef"));
+      }
+    };
+    const theme = await buildTheme(
+      Object.assign({}, themeOptions, {
+        stylesDir,
+        localIdentName: "[local]",
+        themeVariables: ["@primary-color"],
+        components: ["button"],
+        lessOptions: {
+          math: "always",
+          modifyVars: { "primary-color": "#722ed1" },
+          globalVars: { "brand-border": "#123456" },
+          plugins: [brandPlugin]
+        }
+      })
+    );
+    assert.deepStrictEqual(theme.diagnostics, []);
+    assert.strictEqual(theme.variables["@primary-color"], "#722ed1");
+    assert(theme.css.includes("@primary-color: #722ed1;"));
+    assert(
+      theme.css.includes(
+        ".nav {color: @primary-color;border-color: #123456;background: #abcdef;}"
+      )
+    );
+    assert(/\.ant-btn-primary \{[^}]*@primary-color/.test(theme.css));
+  });
+
+  it("reads lessOptions from the less-loader rule", () => {
+    const lessOptionsOf = options => {
+      const plugin = new AntDesignThemePlugin(themeOptions);
+      const tap = () => {};
+      plugin.apply({
+        context: __dirname,
+        webpack: {},
+        hooks: { compilation: { tap }, thisCompilation: { tap } },
+        options: {
+          module: {
+            rules: [
+              { test: /\.css$/, use: ["css-loader"] },
+              {
+                oneOf: [
+                  {
+                    test: /\.less$/,
+                    use: ["css-loader", { loader: "less-loader", options }]
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      });
+      return plugin.options.lessOptions;
+    };
+
+    assert.deepStrictEqual(
+      lessOptionsOf({ sourceMap: true, lessOptions: { math: "always" } }),
+      { math: "always" }
+    );
+    // less-loader < 6
+    assert.deepStrictEqual(
+      lessOptionsOf({ sourceMap: true, javascriptEnabled: true }),
+      { javascriptEnabled: true }
+    );
+    // less-loader >= 6 without lessOptions
+    assert.strictEqual(
+      lessOptionsOf({ additionalData: "@import 'vars';", sourceMap: true }),
+      undefined
+    );
+    assert.strictEqual(lessOptionsOf({ webpackImporter: false }), undefined);
+    assert.strictEqual(lessOptionsOf({ lessLogAsWarnOrErr: true }), undefined);
+  });
+
+  it("picks the same placeholder colors on every build, none of them used by the styles", async () => {
+    // First placeholder candidate of @primary-color
+    const taken = `#${require("crypto")
+      .createHash("sha1")
+      .update("@primary-color:0")
+      .digest("hex")
+      .slice(0, 6)}`;
+    const stylesDir = writeFixture({
+      "literal.less": `.literal { color: ${taken}; }\n.themed { color: @primary-color; }`
+    });
+    const options = Object.assign({}, themeOptions, {
+      stylesDir,
+      localIdentName: "[local]"
+    });
+    const css = await generateTheme(options);
+    assert(css.includes(`.literal {color: ${taken};}`));
+    assert(css.includes(".themed {color: @primary-color;}"));
+    assert.strictEqual(await generateTheme(options), css);
+  });
+
+  it("themes every use of a variable, also in imported mixins", async () => {
+    const dir = writeFixture({
+      "mixins/outline.less": ".outline() { outline-color: @primary-color; }",
+      "styles/nav.less": [
+        '@import "../mixins/outline";',
+        ".nav { color: @primary-color; border-color: @primary-color; .outline(); }"
+      ].join("\n")
+    });
+    const css = await generateTheme(
+      Object.assign({}, themeOptions, {
+        stylesDir: path.join(dir, "styles"),
+        localIdentName: "[local]",
+        components: ["button"]
+      })
+    );
+    assert(
+      css.includes(
+        ".nav {color: @primary-color;border-color: @primary-color;outline-color: @primary-color;}"
+      )
+    );
+  });
+
+  it("keeps color functions of theme variables as expressions", async () => {
+    const stylesDir = writeFixture({
+      "button.less": [
+        ".button:hover { background: darken(@primary-color, 5%); }",
+        ".button:active { border-color: mix(@primary-color, #fff, 80%); }",
+        ".button-shadow { box-shadow: 0 0 0 2px fade(spin(@primary-color, 10), 20%); }",
+        ".button-static { color: darken(#1890ff, 5%); }"
+      ].join("\n")
+    });
+    const options = Object.assign({}, themeOptions, {
+      stylesDir,
+      localIdentName: "[local]"
+    });
+    const css = await generateTheme(options);
+    assert(
+      css.includes(".button:hover {background: darken(@primary-color, 5%);}")
+    );
+    assert(
+      css.includes(
+        ".button:active {border-color: mix(@primary-color, #fff, 80%);}"
+      )
+    );
+    assert(
+      css.includes(
+        ".button-shadow {box-shadow: 0 0 0 2px fade(spin(@primary-color, 10), 20%);}"
+      )
+    );
+    assert(css.includes(".button-static {color: #0084fe;}"));
+    // antd's own hover colors follow the theme too
+    assert(css.includes("lighten(@primary-color, 20%)"));
+
+    const purple = await compileThemePreset(css, {
+      "@primary-color": "#722ed1"
+    });
+    assert(/\.button:hover \{\s*background: #6729bc;/.test(purple));
+
+    const variables = await generateTheme(
+      Object.assign({}, options, { outputMode: "css-variables" })
+    );
+    assert(variables.includes("--darken-primary-color-5: #0084fe;"));
+    assert(
+      variables.includes(
+        ".button:hover {background: var(--darken-primary-color-5);}"
+      )
+    );
+  });
+
+  it("scopes class names the same way css-loader does", async () => {
+    const stylesDir = writeFixture({
+      "components/button.less":
+        ".btn :global(.ant-btn) > .icon { color: @primary-color; }"
+    });
+    const options = Object.assign({}, themeOptions, {
+      stylesDir,
+      localIdentName: "[folder]__[local]--[sha256:hash:base64:5]",
+      localIdentContext: stylesDir,
+      localIdentHashSalt: "v1"
+    });
+    // Class names css-loader generates with the same options
+    const css = await generateTheme(options);
+    assert(
+      css.includes(
+        ".components__btn--mW8Et .ant-btn > .components__icon--cDFsf {color: @primary-color;"
+      )
+    );
+
+    const customCss = await generateTheme(
+      Object.assign(options, {
+        getLocalIdent: (context, localIdentName, localName) =>
+          localName === "btn" ? `custom-${localName}` : null
+      })
+    );
+    assert(
+      customCss.includes(".custom-btn .ant-btn > .components__icon--cDFsf")
+    );
+  });
+
+  it("hashes class names with md4 by default on every node version", async () => {
+    const stylesDir = writeFixture({
+      "components/button.less": ".btn .icon { color: @primary-color; }"
+    });
+    // Class names css-loader generates with its default localIdentHashFunction
+    const css = await generateTheme(
+      Object.assign({}, themeOptions, {
+        stylesDir,
+        localIdentName: "[folder]__[local]--[hash:base64:5]",
+        localIdentContext: stylesDir
+      })
+    );
+    assert(
+      css.includes(
+        ".components__btn--ZhbGL .components__icon--lbAW1 {color: @primary-color;"
+      )
+    );
+  });
+
+  it("writes the values of varFile variables color.less doesn't define", async () => {
+    const varFile = path.join(
+      writeFixture({
+        "variables.less": [
+          '@import "~antd/lib/style/themes/default.less";',
+          "@brand: #ff0000;",
+          "@accent: #00ff00;",
+          "@primary-color: @brand;",
+          "@link-color: mix(@primary-color, @accent);"
+        ].join("\n")
+      }),
+      "variables.less"
+    );
+    const theme = await buildTheme(
+      Object.assign({}, themeOptions, {
+        varFile,
+        themeVariables: ["@primary-color"],
+        components: ["button"],
+        autoDerive: true
+      })
+    );
+    assert.strictEqual(theme.variables["@primary-color"], "#ff0000");
+    assert(theme.css.includes("@primary-color: #ff0000;"));
+    assert(theme.css.includes("@link-color: mix(@primary-color, @accent);"));
+    assert(theme.css.includes("@accent: #00ff00;"));
+    assert(!theme.css.includes("@brand"));
+
+    const purple = await compileThemePreset(theme.css, {
+      "@primary-color": "#722ed1"
+    });
+    assert(purple.includes("#722ed1"));
+  });
+
+  it("maps palette shades of every theme variable to their antd names", async () => {
+    const options = Object.assign({}, themeOptions, {
+      themeVariables: ["@primary-color", "@success-color", "@red-base"]
+    });
+    const css = await generateTheme(options);
+    assert(css.includes("background-color: @primary-1;"));
+    assert(css.includes("background-color: @alert-success-bg-color;"));
+    assert(css.includes("color: @red-5;"));
+    assert(!css.includes("@success-color-1"));
+
+    const customCss = await generateTheme(
+      Object.assign(options, {
+        palettes: {
+          "@success-color": { indices: [1], name: "@success-[index]" }
+        }
+      })
+    );
+    assert(
+      customCss.includes('colorPalette("@{success-color}", 1)`)') &&
+        !customCss.includes("@alert-success-bg-color;")
+    );
+  });
+
+  it("themes variables derived from themeVariables with autoDerive", async () => {
+    const varFile = path.join(
+      writeFixture({
+        "variables.less":
+          '@import "~antd/lib/style/themes/default.less";\n@link-color: darken(@primary-color, 10%);\n'
+      }),
+      "variables.less"
+    );
+    const infos = [];
+    const assets = await emit(
+      { varFile, autoDerive: true, themeVariables: ["@primary-color"] },
+      { getLogger: () => ({ info: message => infos.push(message) }) }
+    );
+    const css = assets["color.less"].source();
+    assert(css.includes("@link-color: darken(@primary-color, 10%);"));
+    assert(/\na \{color: @link-color;/.test(css));
+    assert(infos[0].includes("@link-color"));
+
+    const colored = await compileThemePreset(css, {
+      "@primary-color": "#ff0000"
+    });
+    assert(/a \{\s*color: #cc0000;/.test(colored));
+  });
+
+  it("themes only the antd components the bundle imports", async () => {
+    const antdModule = name =>
+      path.join(themeOptions.antDir, "es", name, "index.js");
+    const assets = await emit(
+      { components: "auto" },
+      {
+        chunks: new Set([
+          {
+            modulesIterable: [
+              { resource: antdModule("select") },
+              { modules: [{ resource: antdModule("button") }] },
+              { resource: antdModule("_util") }
+            ]
+          }
+        ])
+      }
+    );
+    const css = assets["color.less"].source();
+    assert(css.includes(".ant-btn-primary"));
+    assert(css.includes(".ant-select-focused"));
+    // Select's styles depend on Empty's
+    assert(css.includes(".ant-empty"));
+    assert(!css.includes(".ant-table"));
+    assert(!assets.compilation.warnings.length);
+  });
+
+  it("inspects color variables with their definitions, values and usages", async () => {
+    const variables = await inspectThemeVariables(themeOptions);
+    const linkColor = variables.find(({ name }) => name === "@link-color");
+    assert.deepStrictEqual(
+      Object.assign({}, linkColor, { usages: linkColor.usages > 0 }),
+      {
+        name: "@link-color",
+        definition: "@primary-color",
+        value: "#1890ff",
+        dependencies: ["@primary-color"],
+        usages: true
+      }
+    );
+    const primary1 = variables.find(({ name }) => name === "@primary-1");
+    assert.deepStrictEqual(primary1.dependencies, ["@primary-color"]);
+    assert.strictEqual(primary1.value, "#e6f7ff");
+    assert(!variables.some(({ name }) => name === "@font-size-base"));
+  });
+
+  it("emits precompiled css for theme presets and a manifest", async () => {
+    const assets = await emit({
+      themes: { purple: { "@primary-color": "#722ed1" } }
+    });
+    assert(assets["color.less"]);
+    const css = assets["theme.purple.css"].source().toString();
+    assert(css.includes("#722ed1"));
+    assert(!css.includes("@primary-color"));
+
+    const manifest = JSON.parse(assets["theme-manifest.json"].source());
+    assert.strictEqual(manifest.url, "color.less");
+    assert.strictEqual(manifest.variables["@primary-color"], "#1890ff");
+    assert.strictEqual(manifest.themes.purple.url, "theme.purple.css");
+  });
+
+  it("generates the theme from antd's dark base theme", async () => {
+    const assets = await emit({
+      baseTheme: "dark",
+      themes: { night: {} }
+    });
+    const manifest = JSON.parse(assets["theme-manifest.dark.json"].source());
+    assert.strictEqual(manifest.filename, "color.dark.less");
+    assert.strictEqual(manifest.variables["@primary-color"], "#177ddc");
+
+    // Shades are mixed with the dark background like antd.dark.css
+    const css = assets["color.dark.less"].source().toString();
+    assert(
+      /\.ant-select-item-option-selected[^{]*\{[^}]*background-color: @primary-1;/.test(
+        css
+      )
+    );
+    const preset = assets["theme.dark.night.css"].source().toString();
+    assert(
+      /\.ant-select-item-option-selected[^{]*\{[^}]*background-color: #111b26;/.test(
+        preset
+      )
+    );
+  });
+
+  it("interpolates content hashes into output filenames", async () => {
+    const assets = await emit(
+      {
+        filename: "[name].[contenthash:8][ext]",
+        themeFilename: "themes/[name].[contenthash].css",
+        themes: { purple: { "@primary-color": "#722ed1" } }
+      },
+      { outputOptions: { hashFunction: "sha256", hashDigestLength: 12 } }
+    );
+    const filename = Object.keys(assets).find(name =>
+      name.startsWith("color.")
+    );
+    assert(/^color\.[0-9a-f]{8}\.less$/.test(filename));
+    assert(
+      Object.keys(assets).some(name =>
+        /^themes\/purple\.[0-9a-f]{12}\.css$/.test(name)
+      )
+    );
+
+    const manifest = JSON.parse(assets["theme-manifest.json"].source());
+    assert.strictEqual(manifest.url, filename);
+    assert(assets[manifest.themes.purple.url]);
+  });
+
+  it("emits the files of a default and a dark plugin side by side", async () => {
+    const options = {
+      themeVariables: ["@primary-color"],
+      components: ["button"],
+      themes: { purple: { "@primary-color": "#722ed1" } }
+    };
+    const plugins = [
+      new AntDesignThemePlugin(Object.assign({}, themeOptions, options)),
+      new AntDesignThemePlugin(
+        Object.assign({}, themeOptions, options, { baseTheme: "dark" })
+      )
+    ];
+    const [light, dark] = await Promise.all(
+      plugins.map(plugin => emit(plugin))
+    );
+    const filenames = assets =>
+      Object.keys(assets).filter(name => name !== "compilation");
+    assert.deepStrictEqual(filenames(light).sort(), [
+      "color.less",
+      "theme-manifest.json",
+      "theme.purple.css"
+    ]);
+    assert.deepStrictEqual(filenames(dark).sort(), [
+      "color.dark.less",
+      "theme-manifest.dark.json",
+      "theme.dark.purple.css"
+    ]);
+
+    // Both inject into the same html-webpack-plugin page, less.js loads once
+    const headTags = await injectHeadTags(plugins);
+    assert.deepStrictEqual(
+      headTags.map(
+        tag => tag.attributes.href || tag.attributes.src || tag.innerHTML
+      ),
+      [
+        "color.less",
+        'window.less = {"javascriptEnabled":true};',
+        plugins[0].options.lessUrl,
+        "color.dark.less"
+      ]
+    );
+  });
+
+  it("injects the tags through html-webpack-plugin 3 listed after it", async () => {
+    const { SyncHook, AsyncSeriesWaterfallHook } = require("tapable");
+    // Adds its hooks to every compilation like html-webpack-plugin 3
+    class HtmlWebpackPlugin {
+      apply(compiler) {
+        compiler.hooks.compilation.tap("HtmlWebpackPlugin", compilation => {
+          compilation.hooks.htmlWebpackPluginAlterAssetTags = new AsyncSeriesWaterfallHook(
+            ["pluginArgs"]
+          );
+        });
+      }
+    }
+    const plugins = [
+      new AntDesignThemePlugin(themeOptions),
+      new HtmlWebpackPlugin()
+    ];
+    const compiler = {
+      context: __dirname,
+      webpack: {},
+      options: { plugins },
+      hooks: {
+        compilation: new SyncHook(["compilation"]),
+        thisCompilation: new SyncHook(["compilation"])
+      }
+    };
+    plugins.forEach(plugin => plugin.apply(compiler));
+
+    const compilation = { hooks: {}, warnings: [] };
+    compiler.hooks.compilation.call(compilation);
+    const data = await compilation.hooks.htmlWebpackPluginAlterAssetTags.promise(
+      { head: [], body: [] }
+    );
+    assert.deepStrictEqual(
+      data.head.map(tag => tag.tagName),
+      ["link", "script", "script"]
+    );
+    assert.deepStrictEqual(compilation.warnings, []);
+
+    // Compilations it has no hooks for, e.g. child compilations, get a warning
+    const child = { hooks: {}, warnings: [] };
+    plugins[0].injectHtmlTags(compiler, child, "AntDesignThemePlugin");
+    assert(child.warnings[0].message.includes("add the theme's tags"));
+  });
+
+  it("links the stylesheet of every scoped plugin into the page", async () => {
+    const plugins = ["a", "b"].map(
+      name =>
+        new AntDesignThemePlugin(
+          Object.assign({}, themeOptions, {
+            themeVariables: ["@primary-color"],
+            components: ["button"],
+            outputMode: "css-variables",
+            scope: `.tenant-${name}`,
+            filename: `${name}.css`,
+            publicPath: "/"
+          })
+        )
+    );
+    await Promise.all(plugins.map(plugin => emit(plugin)));
+    const headTags = await injectHeadTags(plugins);
+    assert.deepStrictEqual(
+      headTags.map(tag => tag.attributes.href),
+      ["/a.css", "/b.css"]
+    );
+  });
+
+  it("builds the html tags which load color.less", () => {
+    const plugin = new AntDesignThemePlugin({ lessConfig: false });
+    const tags = plugin.getHtmlTags({ outputOptions: { publicPath: "/cdn/" } });
+    assert.deepStrictEqual(
+      tags.map(tag => tag.tagName),
+      ["link", "script"]
+    );
+    assert.strictEqual(tags[0].attributes.href, "/cdn/color.less");
+  });
+
+  it("reads and stores themes through the webpack cache", async () => {
+    const store = new Map();
+    const cache = {
+      getPromise: key => Promise.resolve(store.get(key)),
+      storePromise: (key, etag, value) => {
+        store.set(key, value);
+        return Promise.resolve();
+      }
+    };
+    const compilationOptions = { getCache: () => cache };
+    const options = { themeVariables: ["@primary-color", "@link-color"] };
+
+    const assets = await emit(options, compilationOptions);
+    const key = await getThemeCacheKey(
+      new AntDesignThemePlugin(Object.assign({}, themeOptions, options)).options
+    );
+    const entry = JSON.parse(store.get(key).toString());
+    assert.strictEqual(entry.theme.css, assets["color.less"].source());
+
+    entry.theme.css = "cached";
+    store.set(key, Buffer.from(JSON.stringify(entry)));
+    const cachedAssets = await emit(options, compilationOptions);
+    assert.strictEqual(cachedAssets["color.less"].source(), "cached");
+  });
+
+  it("generates the theme again only when one of its files changed", async () => {
+    const stylesDir = writeFixture({
+      "app.less": ".nav { color: @primary-color; }"
+    });
+    const appFile = path.join(stylesDir, "app.less");
+    const plugin = new AntDesignThemePlugin(
+      Object.assign({}, themeOptions, {
+        stylesDir,
+        localIdentName: "[local]",
+        components: ["button"]
+      })
+    );
+    let builds = 0;
+    const loadTheme = plugin.loadTheme.bind(plugin);
+    plugin.loadTheme = (...args) => {
+      builds++;
+      return loadTheme(...args);
+    };
+
+    await emit(plugin);
+    assert.strictEqual(builds, 1);
+
+    // Webpack 5 reports the files changed since the last compilation
+    const changed = (...files) => ({
+      compiler: { modifiedFiles: new Set(files), removedFiles: new Set() }
+    });
+    await emit(plugin, changed(path.join(__dirname, "unrelated.less")));
+    assert.strictEqual(builds, 1);
+    await emit(plugin, changed(appFile));
+    assert.strictEqual(builds, 2);
+    await emit(plugin, changed(path.join(stylesDir, "added.less")));
+    assert.strictEqual(builds, 3);
+
+    // Webpack 4 keeps the timestamps of all files in watch mode
+    const touched = (file, time) => ({
+      compiler: { watchMode: true },
+      fileTimestamps: new Map([[file, time]]),
+      contextTimestamps: new Map([[stylesDir, plugin.builtAt - 1000]])
+    });
+    await emit(plugin, touched(appFile, plugin.builtAt - 1000));
+    assert.strictEqual(builds, 3);
+    await emit(plugin, touched(appFile, plugin.builtAt + 1000));
+    assert.strictEqual(builds, 4);
+    await emit(plugin, {
+      compiler: { watchMode: true },
+      fileTimestamps: new Map(),
+      contextTimestamps: new Map([[stylesDir, plugin.builtAt + 1000]])
+    });
+    assert.strictEqual(builds, 5);
+  });
+
+  it("reports less failures as webpack warnings or, when strict, errors", async () => {
+    const stylesDir = writeFixture({
+      "broken.less": ".a {\n  color: @not-defined;\n}\n"
+    });
+    const brokenFile = path.join(stylesDir, "broken.less");
+
+    const assets = await emit({ stylesDir, localIdentName: "[local]" });
+    assert(assets["color.less"].source().length > 0);
+    const [warning] = assets.compilation.warnings;
+    assert.strictEqual(warning.file, brokenFile);
+    assert.strictEqual(warning.loc.start.line, 2);
+    assert(warning.message.includes("@not-defined is undefined"));
+
+    const strictAssets = await emit({
+      stylesDir,
+      localIdentName: "[local]",
+      strict: true
+    });
+    assert(!strictAssets["color.less"]);
+    assert.strictEqual(strictAssets.compilation.errors[0].file, brokenFile);
+  });
 });
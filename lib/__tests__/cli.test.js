@@ -0,0 +1,72 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { writeFixture } = require("./fixtures");
+
+const cli = path.join(__dirname, "..", "cli.js");
+
+jest.setTimeout(60000);
+
+function run(args) {
+  return spawnSync(process.execPath, [cli].concat(args), {
+    encoding: "utf8",
+    timeout: 50000
+  });
+}
+
+describe("cli", () => {
+  it("generates the theme, presets and manifest from a config file", () => {
+    const dir = writeFixture({
+      "theme.config.js": `module.exports = async () => (${JSON.stringify({
+        antDir: path.dirname(path.dirname(require.resolve("antd"))),
+        stylesDir: [],
+        themes: { purple: { "@primary-color": "#722ed1" } },
+        publicPath: "/theme/"
+      })});`
+    });
+    const config = path.join(dir, "theme.config.js");
+    const out = path.join(dir, "public", "color.[contenthash:8].less");
+
+    const { status, stderr } = run([
+      "generate",
+      "--config",
+      config,
+      "--out",
+      out
+    ]);
+    assert.strictEqual(status, 0, stderr);
+
+    const publicDir = path.join(dir, "public");
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(publicDir, "theme-manifest.json"), "utf8")
+    );
+    assert(/^color\.[0-9a-f]{8}\.less$/.test(manifest.filename));
+    assert.strictEqual(manifest.url, `/theme/${manifest.filename}`);
+    assert(
+      fs
+        .readFileSync(path.join(publicDir, manifest.filename), "utf8")
+        .includes("@primary-color")
+    );
+    assert(
+      fs
+        .readFileSync(path.join(publicDir, "theme.purple.css"), "utf8")
+        .includes("#722ed1")
+    );
+  });
+
+  it("exits with 1 on unknown commands or when the config is invalid", () => {
+    assert.strictEqual(run(["build"]).status, 1);
+
+    const config = path.join(
+      writeFixture({
+        "theme.config.js":
+          'module.exports = { outputMode: "css-variables", themes: { dark: {} } };'
+      }),
+      "theme.config.js"
+    );
+    const { status, stderr } = run(["generate", `--config=${config}`]);
+    assert.strictEqual(status, 1);
+    assert(stderr.includes('"themes" presets need outputMode "less"'));
+  });
+});
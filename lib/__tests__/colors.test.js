@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { normalizeColor, replaceColors, collectColors } = require("../colors");
+
+describe("colors", () => {
+  it("writes the same color the same way", () => {
+    [
+      "#6DD2A1",
+      "rgb(109, 210, 161)",
+      "rgb(109 210 161)",
+      "#6dd2a1ff"
+    ].forEach(color => assert.strictEqual(normalizeColor(color), "#6dd2a1"));
+    assert.strictEqual(normalizeColor("hsl(0, 100%, 50%)"), "#ff0000");
+    assert.strictEqual(normalizeColor("Red"), "#ff0000");
+    assert.strictEqual(
+      normalizeColor("rgba(0,0,0,.5)"),
+      normalizeColor("hsla(0, 0%, 0%, 50%)")
+    );
+    assert.strictEqual(normalizeColor("10px"), "10px");
+  });
+
+  it("replaces whole color tokens only", () => {
+    const references = {
+      "#6dd2a1": "@primary-color",
+      "rgba(109, 210, 161, 0.2)": "fade(@primary-color, 20%)"
+    };
+    assert.strictEqual(
+      replaceColors(
+        "0 0 0 2px rgba(109,210,161,.2), inset 0 0 0 1px #6DD2A1, 0 0 #6dd2a1aa",
+        color => references[color]
+      ),
+      "0 0 0 2px fade(@primary-color, 20%), inset 0 0 0 1px @primary-color, 0 0 #6dd2a1aa"
+    );
+    assert.strictEqual(
+      replaceColors("url(#6dd2a1) #6dd2a1-icon", color => references[color]),
+      "url(#6dd2a1) #6dd2a1-icon"
+    );
+  });
+
+  it("collects the colors of declarations", () => {
+    const colors = collectColors(
+      ".a { color: #FFF; border: 1px solid rgb(0 0 0 / 50%); }\n.b\\#123456 { color: inherit; }"
+    );
+    assert.deepStrictEqual(Array.from(colors), [
+      "#ffffff",
+      "rgba(0, 0, 0, 0.5)"
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dirs = [];
+
+/*
+  Writes files into a new temporary directory, which is removed after the test, e.g.
+  writeFixture({ "app.less": ".nav { color: @primary-color; }", "components/card.less": "..." })
+  -> "/tmp/antd-theme-XXXXXX"
+*/
+function writeFixture(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "antd-theme-"));
+  dirs.push(dir);
+  Object.keys(files).forEach(name => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, files[name]);
+  });
+  return dir;
+}
+
+afterEach(() => {
+  dirs
+    .splice(0)
+    .forEach(dir =>
+      (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true })
+    );
+});
+
+module.exports = { writeFixture };
@@ -0,0 +1,35 @@
+const assert = require("assert");
+const AntDesignThemeRspackPlugin = require("../rspack");
+
+describe("rspack", () => {
+  it("injects the html tags through HtmlRspackPlugin", async () => {
+    let alterAssetTagGroups;
+    const compiler = {
+      options: { plugins: [] },
+      webpack: {
+        HtmlRspackPlugin: {
+          getCompilationHooks: () => ({
+            alterAssetTagGroups: {
+              tapPromise: (name, fn) => {
+                alterAssetTagGroups = fn;
+              }
+            }
+          })
+        }
+      }
+    };
+    const compilation = { hooks: {}, outputOptions: { publicPath: "/cdn/" } };
+    const plugin = new AntDesignThemeRspackPlugin({ lessUrl: false });
+    plugin.injectHtmlTags(compiler, compilation, "AntDesignThemePlugin");
+
+    const { headTags } = await alterAssetTagGroups({ headTags: [] });
+    assert.deepStrictEqual(
+      headTags.map(tag => [tag.tagName, tag.voidTag]),
+      [
+        ["link", true],
+        ["script", false]
+      ]
+    );
+    assert.strictEqual(headTags[0].attributes.href, "/cdn/color.less");
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * @jest-environment jsdom
+ */
+/* eslint-env browser */
+const assert = require("assert");
+const {
+  init,
+  applyTheme,
+  getCurrentTheme,
+  onThemeChange
+} = require("../runtime");
+
+describe("runtime", () => {
+  it("applies and persists css variables", async () => {
+    await init({
+      manifest: {
+        outputMode: "css-variables",
+        url: "/color.css",
+        variables: { "@primary-color": "#1890ff" },
+        themes: {}
+      }
+    });
+    const changes = [];
+    const unsubscribe = onThemeChange(theme => changes.push(theme));
+    await applyTheme({ "primary-color": "#722ed1" });
+    unsubscribe();
+
+    const style = document.documentElement.style;
+    assert.strictEqual(style.getPropertyValue("--primary-color"), "#722ed1");
+    assert.deepStrictEqual(getCurrentTheme(), {
+      preset: null,
+      variables: { "@primary-color": "#722ed1" }
+    });
+    assert.strictEqual(changes.length, 1);
+    assert.deepStrictEqual(
+      JSON.parse(localStorage.getItem("antd-theme")),
+      getCurrentTheme()
+    );
+  });
+
+  it("sets css variables of a scoped theme on its scope", async () => {
+    await init({
+      manifest: {
+        outputMode: "css-variables",
+        url: "/color.css",
+        scope: ".tenant-a",
+        variables: { "@primary-color": "#1890ff" },
+        themes: {}
+      },
+      storageKey: false
+    });
+    await applyTheme({ "@primary-color": "#13c2c2" });
+
+    const style = document.querySelector("style[data-antd-theme-scope]");
+    assert.strictEqual(
+      style.textContent,
+      ".tenant-a {--primary-color: #13c2c2;}"
+    );
+  });
+
+  describe("less mode", () => {
+    const manifest = {
+      outputMode: "less",
+      url: "/color.less",
+      variables: { "@primary-color": "#1890ff" },
+      themes: {
+        purple: {
+          url: "/theme.purple.css",
+          variables: { "@primary-color": "#722ed1" }
+        },
+        cyan: {
+          url: "/theme.cyan.css",
+          variables: { "@primary-color": "#13c2c2" }
+        }
+      },
+      less: { url: "/less.min.js", config: { javascriptEnabled: true } }
+    };
+    // Module state such as the loaded manifest and less.js starts over in every test
+    let runtime;
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const fire = (selector, type) =>
+      document.querySelector(selector).dispatchEvent(new Event(type));
+    // What less.js does once it has loaded
+    const loadLess = () => {
+      const calls = [];
+      window.less.modifyVars = variables => {
+        calls.push(variables);
+        return Promise.resolve();
+      };
+
+      fire('script[src="/less.min.js"]', "load");
+      return calls;
+    };
+
+    beforeEach(() => {
+      jest.resetModules();
+      runtime = require("../runtime");
+      document.head.innerHTML = "";
+      localStorage.clear();
+      delete window.less;
+    });
+
+    it("adds the stylesheet and less.js and queues variables until it loaded", async () => {
+      await runtime.init({ manifest });
+      const applied = runtime.applyTheme({ "@primary-color": "#722ed1" });
+      await flush();
+
+      const link = document.querySelector('link[rel="stylesheet/less"]');
+      assert.strictEqual(link.getAttribute("href"), "/color.less");
+      assert(document.querySelector('script[src="/less.min.js"]'));
+      assert.strictEqual(window.less.javascriptEnabled, true);
+
+      const calls = loadLess();
+      const theme = await applied;
+      assert.deepStrictEqual(calls, [{ "@primary-color": "#722ed1" }]);
+      assert.deepStrictEqual(theme, {
+        preset: null,
+        variables: { "@primary-color": "#722ed1" }
+      });
+    });
+
+    it("fails without a less url and loads less.js again after a failed load", async () => {
+      await runtime.init({
+        manifest: Object.assign({}, manifest, { less: { url: null } }),
+        storageKey: false
+      });
+      await assert.rejects(
+        runtime.applyTheme({ "@primary-color": "#722ed1" }),
+        /no less url is known/
+      );
+
+      await runtime.init({ manifest, storageKey: false });
+      const failed = runtime.applyTheme({ "@primary-color": "#722ed1" });
+      await flush();
+      fire('script[src="/less.min.js"]', "error");
+      await assert.rejects(failed, /Failed to load less.js from \/less.min.js/);
+      assert(!document.querySelector('script[src="/less.min.js"]'));
+
+      const retried = runtime.applyTheme({ "@primary-color": "#13c2c2" });
+      await flush();
+      const calls = loadLess();
+      await retried;
+      assert.deepStrictEqual(calls, [{ "@primary-color": "#13c2c2" }]);
+    });
+
+    it("switches presets and back to variables", async () => {
+      await runtime.init({ manifest });
+      const purple = runtime.applyTheme("purple");
+      await flush();
+      fire('link[data-antd-theme-preset="purple"]', "load");
+      assert.deepStrictEqual(await purple, {
+        preset: "purple",
+        variables: { "@primary-color": "#722ed1" }
+      });
+
+      const cyan = runtime.applyTheme("cyan");
+      await flush();
+      fire('link[data-antd-theme-preset="cyan"]', "load");
+      await cyan;
+      assert.deepStrictEqual(
+        Array.from(
+          document.querySelectorAll("link[data-antd-theme-preset]"),
+          link => link.getAttribute("href")
+        ),
+        ["/theme.cyan.css"]
+      );
+
+      await assert.rejects(runtime.applyTheme("gone"), /Unknown theme preset/);
+
+      const variables = runtime.applyTheme({ "@link-color": "#eb2f96" });
+      await flush();
+      loadLess();
+      assert.deepStrictEqual((await variables).variables, {
+        "@primary-color": "#13c2c2",
+        "@link-color": "#eb2f96"
+      });
+      assert(!document.querySelector("link[data-antd-theme-preset]"));
+    });
+
+    it("restores the saved preset and forgets one the manifest no longer has", async () => {
+      localStorage.setItem("antd-theme", JSON.stringify({ preset: "purple" }));
+      const restored = runtime.init({ manifest });
+      await flush();
+      fire('link[data-antd-theme-preset="purple"]', "load");
+      assert.strictEqual((await restored).preset, "purple");
+
+      localStorage.setItem("antd-theme", JSON.stringify({ preset: "gone" }));
+      assert.deepStrictEqual(await runtime.init({ manifest }), {
+        preset: null,
+        variables: { "@primary-color": "#1890ff" }
+      });
+      assert.strictEqual(localStorage.getItem("antd-theme"), null);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require("assert");
+const path = require("path");
+const antdThemePlugin = require("../vite");
+
+const antDir = path.dirname(path.dirname(require.resolve("antd")));
+const themeOptions = {
+  antDir,
+  stylesDir: [],
+  themes: { purple: { "@primary-color": "#722ed1" } }
+};
+
+jest.setTimeout(30000);
+
+function resolveConfig(plugin, command) {
+  plugin.configResolved({
+    base: "/static/",
+    command,
+    root: __dirname,
+    logger: console
+  });
+}
+
+describe("vite", () => {
+  it("emits the theme with the bundle and injects it into index.html", async () => {
+    const plugin = antdThemePlugin(themeOptions);
+    resolveConfig(plugin, "build");
+    const emitted = {};
+    const watchFiles = [];
+    const context = {
+      addWatchFile: file => watchFiles.push(file),
+      warn: message => assert.fail(message),
+      error: message => assert.fail(message),
+      emitFile: ({ fileName, source }) => {
+        emitted[fileName] = source;
+      }
+    };
+
+    await plugin.buildStart.call(context);
+    await plugin.generateBundle.call(context);
+    assert(emitted["color.less"].includes("@primary-color"));
+    assert(emitted["theme.purple.css"].includes("#722ed1"));
+    assert.strictEqual(
+      JSON.parse(emitted["theme-manifest.json"]).url,
+      "/static/color.less"
+    );
+    assert(
+      watchFiles.includes(
+        path.join(antDir, "lib", "style", "themes", "default.less")
+      )
+    );
+
+    const tags = await plugin.transformIndexHtml();
+    assert.deepStrictEqual(tags[0], {
+      tag: "link",
+      attrs: {
+        rel: "stylesheet/less",
+        type: "text/css",
+        href: "/static/color.less"
+      },
+      children: undefined,
+      injectTo: "head"
+    });
+  });
+
+  it("serves the theme from the dev server and reloads when it changes", async () => {
+    const plugin = antdThemePlugin(themeOptions);
+    resolveConfig(plugin, "serve");
+    let middleware;
+    let onChange;
+    const messages = [];
+    plugin.configureServer({
+      watcher: {
+        add: () => {},
+        on: (event, listener) => {
+          onChange = listener;
+        }
+      },
+      ws: { send: message => messages.push(message) },
+      middlewares: {
+        use: fn => {
+          middleware = fn;
+        }
+      }
+    });
+
+    const request = url =>
+      new Promise(resolve => {
+        const headers = {};
+        middleware(
+          { url },
+          {
+            setHeader: (name, value) => {
+              headers[name] = value;
+            },
+            end: body => resolve({ headers, body })
+          },
+          () => resolve(null)
+        );
+      });
+
+    const { headers, body } = await request("/static/theme-manifest.json?t=1");
+    assert.strictEqual(headers["Content-Type"], "application/json");
+    assert.strictEqual(
+      JSON.parse(body).themes.purple.url,
+      "/static/theme.purple.css"
+    );
+    assert.strictEqual(await request("/static/main.js"), null);
+
+    onChange("change", path.join(__dirname, "unrelated.less"));
+    assert.deepStrictEqual(messages, []);
+    onChange(
+      "change",
+      path.join(antDir, "lib", "style", "themes", "default.less")
+    );
+    assert.deepStrictEqual(messages, [{ type: "full-reload" }]);
+
+    // Requests of other files don't wait for the rebuild
+    let skipped = false;
+    middleware({ url: "/src/main.js" }, {}, () => {
+      skipped = true;
+    });
+    assert(skipped);
+    middleware({ url: "/node_modules/.vite/antd.css" }, {}, () => {
+      skipped = false;
+    });
+    assert(!skipped);
+  });
+});
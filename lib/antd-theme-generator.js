@@ -4,15 +4,18 @@ const glob = require("fast-glob");
 const postcss = require("postcss");
 const less = require("less");
 const { createHash } = require("crypto");
-const { compress: bundle } = require("@ad2302/less-bundle-promise");
-const NpmImportPlugin = require("less-plugin-npm-import");
 const stripCssComments = require("strip-css-comments");
+const lessSyntax = require("postcss-less");
 const addLocalIdentName = require("./postcss-less-plugin");
+const { normalizeColor, replaceColors, collectColors } = require("./colors");
 const { promisify } = require("util");
 const readFile = promisify(fs.readFile);
+const access = promisify(fs.access);
+const pkg = require("../package.json");
 
-let hashCache = "";
-let cssCache = "";
+const OUTPUT_MODES = ["less", "css-variables"];
+// Antd's style/themes/*.less files
+const BASE_THEMES = ["default", "dark", "compact"];
 
 /*
   Generated random hex color code
@@ -22,6 +25,109 @@ function randomColor() {
   return "#" + (0x1000000 + Math.random() * 0xffffff).toString(16).substr(1, 6);
 }
 
+/*
+  Placeholder color of a variable, the same on every build, e.g.
+  placeholderColor("@primary-color", 0) -> "#6dd2a1", attempt 1, 2, ... give other candidates
+*/
+function placeholderColor(name, attempt) {
+  return `#${createHash("sha1")
+    .update(`${name}:${attempt}`)
+    .digest("hex")
+    .slice(0, 6)}`;
+}
+
+/*
+  First placeholder color of name which isn't taken yet with the given alpha, and takes it
+*/
+function nextPlaceholderColor(name, taken, alpha = 1) {
+  let attempt = 0;
+  let color = placeholderColor(name, attempt);
+  while (taken.has(normalizeColor(fadeColor(color, alpha)))) {
+    attempt += 1;
+    color = placeholderColor(name, attempt);
+  }
+
+  taken.add(normalizeColor(fadeColor(color, alpha)));
+  return color;
+}
+
+/*
+  Less output of fade(color, alpha), e.g. fadeColor("#123456", 0.2) -> "rgba(18, 52, 86, 0.2)"
+*/
+function fadeColor(hex, alpha) {
+  const channels = [1, 3, 5].map(start =>
+    parseInt(hex.slice(start, start + 2), 16)
+  );
+  return `rgba(${channels.join(", ")}, ${alpha})`;
+}
+
+const PLACEHOLDER_ROUNDS = 10;
+
+/*
+  Picks placeholder colors of theme variables, e.g. { "@primary-color": "#6dd2a1" }.
+  compile(colors) resolves to the compiled colors of the variables and their shades, none of
+  them may be one of usedColors or stand for two different expressions at once. Shades are
+  { "@primary-1": { owner: "@primary-color", expression: "..." } }, names of the same shade
+  share its color. Variables whose colors collide move on to their next candidate,
+  a ThemeError lists the ambiguous mappings when that doesn't settle it.
+  Resolves to { colors, compiled }
+*/
+async function allocatePlaceholderColors(
+  themeVars,
+  { usedColors, shades, compile }
+) {
+  const attempts = {};
+  let conflicts = [];
+  for (let round = 0; round < PLACEHOLDER_ROUNDS; round++) {
+    const taken = new Set(Array.from(usedColors).concat("#000000", "#ffffff"));
+    const colors = {};
+    themeVars.forEach(varName => {
+      let attempt = attempts[varName] || 0;
+      while (taken.has(placeholderColor(varName, attempt))) {
+        attempt += 1;
+      }
+
+      attempts[varName] = attempt;
+      colors[varName] = placeholderColor(varName, attempt);
+      taken.add(colors[varName]);
+    });
+
+    // eslint-disable-next-line no-await-in-loop
+    const compiled = await compile(colors);
+    const expressionOf = name => (shades[name] || {}).expression || name;
+    const seen = {};
+    conflicts = [];
+    Object.keys(compiled).forEach(name => {
+      const color = normalizeColor(compiled[name]);
+      if (
+        usedColors.has(color) ||
+        (color in seen && expressionOf(seen[color]) !== expressionOf(name))
+      ) {
+        conflicts.push({ name, color, other: seen[color] });
+      } else if (!(color in seen)) {
+        seen[color] = name;
+      }
+    });
+    if (conflicts.length === 0) {
+      return { colors, compiled };
+    }
+
+    conflicts.forEach(({ name }) => {
+      const owner = (shades[name] || {}).owner || name;
+      attempts[owner] = (attempts[owner] || 0) + 1;
+    });
+  }
+
+  throw new ThemeError(
+    `Failed to find placeholder colors for ${conflicts.length} variable(s)`,
+    conflicts.map(({ name, color, other }) => ({
+      message: other
+        ? `${name} and ${other} both compile to ${color}, so their usages can't be told apart`
+        : `${name} compiles to ${color}, which is already used by your styles or antd`
+    }))
+  );
+}
+
 /*
   Recursively get the color code assigned to a variable e.g.
   @primary-color: #1890ff;
@@ -40,6 +146,38 @@ function getColor(varName, mappings) {
   return color;
 }
 
+/*
+  This function adds regexes of less color functions to custom color regexes,
+  so variables like @link-hover-color: darken(@primary-color, 10%); count as colors
+*/
+function withColorFunctions(customColorRegexArray = []) {
+  return [
+    ...customColorRegexArray,
+    ...[
+      "color",
+      "lighten",
+      "darken",
+      "saturate",
+      "desaturate",
+      "fadein",
+      "fadeout",
+      "fade",
+      "spin",
+      "mix",
+      "hsv",
+      "tint",
+      "shade",
+      "greyscale",
+      "multiply",
+      "contrast",
+      "screen",
+      "overlay"
+    ]
+      // eslint-disable-next-line no-useless-escape
+      .map(name => new RegExp(`${name}\(.*\)`))
+  ];
+}
+
 /*
   Read following files and generate color variables and color codes mapping
     - Ant design color.less, themes/default.less
@@ -105,6 +243,7 @@ function generateColorMap(content, customColorRegexArray = []) {
     color: #000;
  }
 */
+const KEPT_AT_RULES = /^(media|supports|(-\w+-)?keyframes)$/i;
 const reducePlugin = postcss.plugin("reducePlugin", () => {
   const cleanRule = rule => {
     if (rule.selector.startsWith(".main-color .palatte-")) {
@@ -153,16 +292,141 @@ const reducePlugin = postcss.plugin("reducePlugin", () => {
   };
 
   return css => {
+    // Rules inside @media, @supports and @keyframes are reduced like top level rules,
+    // everything else (@font-face, @import, ...) can't contain theme colors
     css.walkAtRules(atRule => {
-      atRule.remove();
+      if (!KEPT_AT_RULES.test(atRule.name)) {
+        atRule.remove();
+      }
     });
 
     css.walkRules(cleanRule);
 
     css.walkComments(c => c.remove());
+
+    removeEmptyAtRules(css);
   };
 });
 
+function removeEmptyAtRules(css) {
+  // Innermost at-rules come last, walk in reverse so emptied parents are removed too
+  const atRules = [];
+  css.walkAtRules(atRule => {
+    atRules.push(atRule);
+  });
+  atRules.reverse().forEach(atRule => {
+    if (!atRule.nodes || atRule.nodes.length === 0) {
+      atRule.remove();
+    }
+  });
+}
+
+/*
+  Keeps only declarations whose value contains one of the references, e.g. "@primary-color"
+  or "var(--primary-1)", then merges rules with the same selector which became adjacent:
+  .a { color: @primary-color; } .b { color: #fff; } .a { border-color: @primary-1; }
+  -> .a { color: @primary-color; border-color: @primary-1; }
+*/
+const minimalPlugin = postcss.plugin("minimalPlugin", ({ references }) => {
+  const mergeAdjacentRules = container => {
+    let previous = null;
+    container.each(node => {
+      if (
+        node.type === "rule" &&
+        previous &&
+        previous.type === "rule" &&
+        previous.selector === node.selector
+      ) {
+        previous.append(node.nodes);
+        node.remove();
+        return;
+      }
+
+      previous = node;
+      if (node.type === "atrule" && node.nodes) {
+        mergeAdjacentRules(node);
+      }
+    });
+  };
+
+  // Merged rules can repeat a declaration, the last one wins anyway
+  const removeDuplicateDeclarations = rule => {
+    const seen = new Set();
+    rule.nodes
+      .slice()
+      .reverse()
+      .forEach(decl => {
+        const key = `${decl.prop}:${decl.value}`;
+        if (seen.has(key)) {
+          decl.remove();
+        }
+
+        seen.add(key);
+      });
+  };
+
+  return css => {
+    css.walkDecls(decl => {
+      if (!references.some(reference => decl.value.includes(reference))) {
+        decl.remove();
+      }
+    });
+    css.walkRules(rule => {
+      if (rule.nodes.length === 0) {
+        rule.remove();
+      }
+    });
+    removeEmptyAtRules(css);
+    mergeAdjacentRules(css);
+    css.walkRules(removeDuplicateDeclarations);
+  };
+});
+
+/*
+  Replaces whole color tokens of declaration values with the reference of the placeholder
+  they are, however less wrote it, e.g. with { "rgba(109, 210, 161, 0.2)": "fade(@primary-color, 20%)" }
+  box-shadow: 0 0 0 2px rgba(109,210,161,.2) -> box-shadow: 0 0 0 2px fade(@primary-color, 20%)
+*/
+const substituteColorsPlugin = postcss.plugin(
+  "substituteColorsPlugin",
+  ({ referenceOf }) => css => {
+    css.walkDecls(decl => {
+      decl.value = replaceColors(decl.value, color =>
+        Object.prototype.hasOwnProperty.call(referenceOf, color)
+          ? referenceOf[color]
+          : undefined
+      );
+    });
+  }
+);
+
+/*
+  Prefixes every selector with scope, e.g. with ".tenant-a"
+  .ant-btn-primary -> .tenant-a .ant-btn-primary
+  html, body and :root stand for the scope itself: body { color: @text-color; } -> .tenant-a { color: @text-color; }
+  Keyframe selectors are left as they are.
+*/
+const scopePlugin = postcss.plugin("scopePlugin", ({ scope }) => css => {
+  css.walkRules(rule => {
+    if (rule.parent.type === "atrule" && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+
+    rule.selectors = rule.selectors.map(selector => {
+      if (selector === scope || selector.startsWith(`${scope} `)) {
+        return selector;
+      }
+
+      const root = /^(?:html|:root|body)(?![\w-])(?:\s*>?\s*body(?![\w-]))?/.exec(
+        selector
+      );
+      return root
+        ? `${scope}${selector.slice(root[0].length)}`
+        : `${scope} ${selector}`;
+    });
+  });
+});
+
 function getMatches(string, regex) {
   const matches = {};
   let match;
@@ -176,16 +440,288 @@ function getMatches(string, regex) {
 }
 
 /*
-  This function takes less input as string and compiles into css.
+  Node's module resolution, used for imports unless a bundler passes its own resolver, e.g.
+  nodeResolve("/app/src", "antd/lib/style/themes/default.less") -> "/app/node_modules/antd/lib/style/themes/default.less"
+  Modules not found from context are looked up from fallbackPaths.
 */
-function render(text, paths) {
-  return less.render(text, {
-    paths: paths,
+function nodeResolve(context, request, fallbackPaths = []) {
+  return new Promise(resolve =>
+    resolve(
+      require.resolve(request, { paths: [context].concat(fallbackPaths) })
+    )
+  );
+}
+
+/*
+  Resolves an import with resolve(context, request), trying the .less file first when the
+  request has no extension, e.g. "antd/lib/style/themes/default" -> ".../default.less"
+*/
+async function resolveImport(resolve, context, request) {
+  if (path.extname(request)) {
+    return resolve(context, request);
+  }
+
+  return resolve(context, `${request}.less`).catch(() =>
+    resolve(context, request)
+  );
+}
+
+/*
+  Less plugin which loads imports of modules, e.g. @import "~antd/lib/style/themes/default.less";
+  with resolve(context, request), so they follow the bundler's resolve config. Other imports less can't
+  find relative to the importing file or its paths are resolved the same way, e.g. aliases.
+*/
+function resolvePlugin(resolve) {
+  return {
+    install(lessInstance, pluginManager) {
+      class ResolveFileManager extends lessInstance.FileManager {
+        supports(filename) {
+          return !/^(?:https?:)?\/\//.test(filename);
+        }
+
+        async loadFile(filename, currentDirectory, options, environment) {
+          if (filename.startsWith("~")) {
+            return this.resolveFile(filename.slice(1), currentDirectory);
+          }
+
+          try {
+            return await super.loadFile(
+              filename,
+              currentDirectory,
+              options,
+              environment
+            );
+          } catch (error) {
+            // Less' own error tells where it looked for the file
+            return this.resolveFile(filename, currentDirectory).catch(() => {
+              throw error;
+            });
+          }
+        }
+
+        async resolveFile(request, currentDirectory) {
+          const file = await resolveImport(
+            resolve,
+            currentDirectory || process.cwd(),
+            request
+          );
+          return {
+            filename: file,
+            contents: (await readFile(file)).toString()
+          };
+        }
+      }
+
+      pluginManager.addFileManager(new ResolveFileManager());
+    },
+    minVersion: [3, 0, 0]
+  };
+}
+
+/*
+  Options of less.render with your lessOptions, e.g. { math: "always", globalVars, plugins },
+  paths and plugins are added to yours. Javascript stays enabled for antd's colorPalette.
+  Imports are resolved with Node's module resolution, a resolvePlugin in plugins overrides it.
+*/
+function getRenderOptions({ paths = [], plugins = [] }, lessOptions = {}) {
+  return Object.assign({}, lessOptions, {
+    paths: [].concat(paths, lessOptions.paths || []).filter(Boolean),
     javascriptEnabled: true,
-    plugins: [new NpmImportPlugin({ prefix: "~" })]
+    plugins: [resolvePlugin(nodeResolve)].concat(
+      lessOptions.plugins || [],
+      plugins
+    )
   });
 }
 
+/*
+  Less definitions of modifyVars, which can be written with or without @, e.g.
+  { "primary-color": "#722ed1" } -> "@primary-color: #722ed1;"
+*/
+function toLessVariables(modifyVars = {}) {
+  return Object.keys(modifyVars)
+    .map(
+      name =>
+        `${name.startsWith("@") ? name : `@${name}`}: ${modifyVars[name]};`
+    )
+    .join("\n");
+}
+
+/*
+  This function takes less input as string and compiles into css.
+*/
+function render(text, paths, plugins = [], lessOptions = {}) {
+  return less.render(text, getRenderOptions({ paths, plugins }, lessOptions));
+}
+
+const THEME_FUNCTIONS = [
+  "fade",
+  "tint",
+  "shade",
+  "darken",
+  "lighten",
+  "mix",
+  "spin"
+];
+const COLOR_PALETTE_CALL = /^\s*colorPalette\(\s*['"]@\{([\w-]+)\}['"]\s*,\s*(\d+)\s*\)\s*$/;
+
+/*
+  Less plugin which gives colors computed from placeholder colors placeholders of their own,
+  so the generated css keeps the expression instead of a color computed from the default theme.
+  e.g. with expressionOf { "#6dd2a1": "@primary-color" }
+  darken(@primary-color, 5%) -> #0f4e7a, and expressionOf gets { "#0f4e7a": "darken(@primary-color, 5%)" }
+  Covers fade, tint, shade, darken, lighten, mix and spin calls and colorPalette javascript of
+  antd's palettes. New placeholders differ from the colors in taken, and are added to it.
+  The same plugin can be used by several renders, getDerived() lists what they computed:
+  [{ color: "#0f4e7a", expression: "darken(@primary-color, 5%)" }]
+*/
+function themeFunctionsPlugin({ expressionOf, taken }) {
+  const derived = {};
+  // Placeholder -> color computed from the placeholders of its arguments
+  const computedColors = {};
+  const has = (object, key) =>
+    Object.prototype.hasOwnProperty.call(object, key);
+
+  return {
+    install({ tree, visitors }, pluginManager) {
+      const expressionOfNode = node =>
+        node instanceof tree.Color &&
+        has(expressionOf, normalizeColor(node.toCSS({})))
+          ? expressionOf[normalizeColor(node.toCSS({}))]
+          : undefined;
+
+      // Placeholder of expression with the alpha of its result
+      const placeholderOf = (expression, result) => {
+        if (!(result instanceof tree.Color) || expressionOfNode(result)) {
+          return result;
+        }
+
+        if (!has(derived, expression)) {
+          const hex = nextPlaceholderColor(expression, taken, result.alpha);
+          const color = normalizeColor(fadeColor(hex, result.alpha));
+          derived[expression] = { hex, color };
+          expressionOf[color] = expression;
+          computedColors[color] = result;
+        }
+
+        return new tree.Color(derived[expression].hex.slice(1), result.alpha);
+      };
+
+      // Files imported more than once share their nodes
+      const patched = new WeakSet();
+      const visitor = new visitors.Visitor({
+        // Imported files are walked once, imports can be circular
+        visitImport(importNode, visitArgs) {
+          if (patched.has(importNode.root)) {
+            visitArgs.visitDeeper = false;
+          } else if (importNode.root) {
+            patched.add(importNode.root);
+          }
+
+          return importNode;
+        },
+
+        visitCall(call) {
+          if (!THEME_FUNCTIONS.includes(call.name) || patched.has(call)) {
+            return call;
+          }
+
+          patched.add(call);
+
+          const evalCall = call.eval;
+          call.eval = function(context) {
+            const args = this.args.map(arg => arg.eval(context));
+            const expressions = args.map(expressionOfNode);
+            if (!expressions.some(Boolean)) {
+              return evalCall.call(this, context);
+            }
+
+            const expression = `${this.name}(${args
+              .map((arg, index) => expressions[index] || arg.toCSS(context))
+              .join(", ")})`;
+            // Computed from what placeholders of other calls stand for, the result can be known already,
+            // e.g. @primary-1: mix(color(~`colorPalette('@{primary-color}', 8) `), ...) of dark.less
+            const computedArgs = args.map(arg => {
+              const color =
+                arg instanceof tree.Color
+                  ? normalizeColor(arg.toCSS({}))
+                  : null;
+              return color && has(computedColors, color)
+                ? computedColors[color]
+                : arg;
+            });
+            return placeholderOf(
+              expression,
+              new tree.Call(
+                this.name,
+                computedArgs,
+                this.getIndex(),
+                this.fileInfo()
+              ).eval(context)
+            );
+          };
+
+          return call;
+        },
+
+        // Palettes like color(~`colorPalette('@{primary-color}', 5) `), the seed has to be a variable
+        visitJavaScript(javascript) {
+          const match = COLOR_PALETTE_CALL.exec(javascript.expression);
+          if (!match || patched.has(javascript)) {
+            return javascript;
+          }
+
+          patched.add(javascript);
+
+          const evalJavaScript = javascript.eval;
+          javascript.eval = function(context) {
+            const result = evalJavaScript.call(this, context);
+            const seed = expressionOfNode(
+              new tree.Variable(
+                `@${match[1]}`,
+                this.getIndex(),
+                this.fileInfo()
+              ).eval(context)
+            );
+            const value = normalizeColor(String(result.value));
+            if (
+              !seed ||
+              !/^@[\w-]+$/.test(seed) ||
+              !/^#[0-9a-f]{6}$/.test(value)
+            ) {
+              return result;
+            }
+
+            const color = placeholderOf(
+              getShade(seed, match[2]),
+              new tree.Color(value.slice(1))
+            );
+            return new tree.Quoted(
+              `"${color.toCSS({})}"`,
+              color.toCSS({}),
+              result.escaped,
+              result.getIndex(),
+              result.fileInfo()
+            );
+          };
+
+          return javascript;
+        }
+      });
+      pluginManager.addVisitor({
+        isPreEvalVisitor: true,
+        run: root => visitor.visit(root)
+      });
+    },
+
+    getDerived() {
+      return Object.keys(derived)
+        .sort()
+        .map(expression => ({ color: derived[expression].color, expression }));
+    }
+  };
+}
+
 /*
   This funtion reads a less file and create an object with keys as variable names
   and values as variables respective values. e.g.
@@ -218,23 +754,276 @@ async function getLessVars(filtPath) {
 }
 
 /*
-  This function take primary color palette name and returns @primary-color dependent value
+  This function takes a seed color variable and a palette index and returns the shade expression
   .e.g
-  Input: @primary-1
-  Output: color(~`colorPalette("@{primary-color}", ' 1 ')`)
+  Input: @primary-color, 1
+  Output: color(~`colorPalette("@{primary-color}", 1)`)
 */
-function getShade(varName) {
-  let [, className, number] = varName.match(/(.*)-(\d)/);
-  if (/primary-\d/.test(varName)) className = "@primary-color";
+function getShade(varName, index) {
   return (
     'color(~`colorPalette("@{' +
-    className.replace("@", "") +
+    varName.replace("@", "") +
     '}", ' +
-    number +
+    index +
     ")`)"
   );
 }
 
+/*
+  This function finds variables which are palette shades of other variables, e.g.
+  @primary-1: color(~`colorPalette('@{primary-color}', 1) `);
+  @alert-success-bg-color: ~`colorPalette('@{success-color}', 1) `;
+  ->
+  [{ name: "@primary-1", seed: "@primary-color", index: 1 }, { name: "@alert-success-bg-color", seed: "@success-color", index: 1 }]
+*/
+function getPaletteShades(content) {
+  const regex = /(@[\w-]+)\s*:\s*(?:color\(\s*)?~`colorPalette\(\s*['"]@\{([\w-]+)\}['"]\s*,\s*(\d+)\s*\)\s*`/g;
+  const shades = [];
+  let match;
+  while ((match = regex.exec(content))) {
+    shades.push({
+      name: match[1],
+      seed: `@${match[2]}`,
+      index: Number(match[3])
+    });
+  }
+
+  return shades;
+}
+
+/*
+  This function parses less variable definitions into a dependency graph, later definitions win, e.g.
+  @primary-color: @blue-6;
+  @link-hover-color: color(~`colorPalette('@{link-color}', 5) `);
+  ->
+  {
+    "@primary-color": { definition: "@blue-6", dependencies: ["@blue-6"] },
+    "@link-hover-color": { definition: "color(~`colorPalette('@{link-color}', 5) `)", dependencies: ["@link-color"] }
+  }
+*/
+function getVariableGraph(content) {
+  const regex = /^\s*(@[\w-]+)\s*:\s*([^;]*);/gm;
+  const graph = {};
+  let match;
+  while ((match = regex.exec(content))) {
+    const definition = match[2].replace(/\s+/g, " ").trim();
+    const dependencies = (definition.match(/@\{?[\w-]+/g) || []).map(
+      name => `@${name.replace(/^@\{?/, "")}`
+    );
+    graph[match[1]] = {
+      definition,
+      dependencies: dependencies.filter(
+        (name, index) => dependencies.indexOf(name) === index
+      )
+    };
+  }
+
+  return graph;
+}
+
+/*
+  This function returns all variables computed from the seed variables, directly or through
+  other variables, in definition order, e.g. ["@primary-color"] -> ["@link-color", "@primary-1", ...]
+*/
+function getDerivedVariables(graph, seeds) {
+  const derived = new Set(seeds);
+  let added = true;
+  while (added) {
+    added = false;
+    Object.keys(graph).forEach(name => {
+      if (
+        !derived.has(name) &&
+        graph[name].dependencies.some(dependency => derived.has(dependency))
+      ) {
+        derived.add(name);
+        added = true;
+      }
+    });
+  }
+
+  return Object.keys(graph).filter(
+    name => derived.has(name) && !seeds.includes(name)
+  );
+}
+
+/*
+  This function returns the class name prefixes antd's styles are compiled with, the options win over
+  @ant-prefix and @iconfont-css-prefix of the varFile. A single icon prefix goes with every prefix, e.g.
+  (graph, ["ant", "acme"], "anticon")
+  -> [{ prefixCls: "ant", iconPrefixCls: "anticon" }, { prefixCls: "acme", iconPrefixCls: "anticon" }]
+*/
+function getPrefixes(graph, prefixCls, iconPrefixCls) {
+  const fromVarFile = (name, fallback) =>
+    name in graph
+      ? graph[name].definition.replace(/^~?(["'])(.*)\1$/, "$2")
+      : fallback;
+  const prefixList = [].concat(prefixCls || fromVarFile("@ant-prefix", "ant"));
+  const iconList = [].concat(
+    iconPrefixCls || fromVarFile("@iconfont-css-prefix", "anticon")
+  );
+  const prefixes = [];
+  for (
+    let index = 0;
+    index < Math.max(prefixList.length, iconList.length);
+    index++
+  ) {
+    const prefix = {
+      prefixCls: prefixList[index] || prefixList[0],
+      iconPrefixCls: iconList[index] || iconList[0]
+    };
+    if (
+      !prefixes.some(
+        ({ prefixCls, iconPrefixCls }) =>
+          prefixCls === prefix.prefixCls &&
+          iconPrefixCls === prefix.iconPrefixCls
+      )
+    ) {
+      prefixes.push(prefix);
+    }
+  }
+
+  return prefixes;
+}
+
+/*
+  This function returns the shades of a theme variable with the names they have in antd, e.g.
+  @primary-color -> [{ name: "@primary-1", index: 1 }, ..., { name: "@primary-10", index: 10 }]
+  @red-base -> [{ name: "@red-1", index: 1 }, ...], as antd defines @red-6: @red-base; and shades of @red-6
+  @success-color -> [{ name: "@alert-success-bg-color", index: 1 }, ...]
+  Shades of variables which are plain aliases of varName come after its own shades,
+  unless the alias is one of the other theme variables.
+  A palettes entry replaces them, e.g. { "@brand-color": { indices: [1, 2], name: "@brand-[index]" } }
+  -> [{ name: "@brand-1", index: 1 }, { name: "@brand-2", index: 2 }], name can also be a function of the index.
+*/
+function getPalette(
+  varName,
+  { shades, mappingsContent, palettes = {}, themeVars = [] }
+) {
+  const palette = palettes[varName];
+  if (palette) {
+    const { indices = [1, 2, 3, 4, 5, 7, 8, 9, 10], name } = palette;
+    return indices.map(index => ({
+      name:
+        typeof name === "function"
+          ? name(index)
+          : name.replace(/\[index\]/g, index),
+      index
+    }));
+  }
+
+  const seeds = [varName];
+  for (let i = 0; i < seeds.length; i++) {
+    const aliasRegex = new RegExp(
+      `^\\s*(@[\\w-]+)\\s*:\\s*${seeds[i]}\\s*;`,
+      "gm"
+    );
+    let match;
+    while ((match = aliasRegex.exec(mappingsContent))) {
+      if (!seeds.includes(match[1]) && !themeVars.includes(match[1])) {
+        seeds.push(match[1]);
+      }
+    }
+  }
+
+  const names = new Set();
+  return seeds.reduce((result, seed) => {
+    shades.forEach(shade => {
+      if (shade.seed === seed && !names.has(shade.name)) {
+        names.add(shade.name);
+        result.push({ name: shade.name, index: shade.index });
+      }
+    });
+    return result;
+  }, []);
+}
+
+/*
+  This function turns a theme less expression into a css custom property name
+  e.g.
+  @primary-color -> primary-color
+  fade(@primary-color, 20%) -> fade-primary-color-20
+*/
+function toCustomPropertyName(expression) {
+  return expression
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/*
+  This function replaces less variable definitions of theme variables with their
+  values from the variable mappings and moves them to the top of the content
+*/
+function withThemeVariables(content, themeVars, mappings) {
+  themeVars
+    .slice()
+    .reverse()
+    .forEach(varName => {
+      content = content.replace(new RegExp(`${varName}( *):(.*);`, "g"), "");
+      content = `${varName}: ${mappings[varName]};\n${content}\n`;
+    });
+  return content;
+}
+
+/*
+  This function compiles less color expressions against given variable definitions
+  and returns their values in the same order, e.g.
+  ["@primary-color", "fade(@primary-color, 20%)"] -> ["#1890ff", "rgba(24, 144, 255, 0.2)"]
+*/
+async function resolveExpressions(
+  variablesContent,
+  expressions,
+  lessOptions = {}
+) {
+  const rules = expressions
+    .map((expression, index) => `.p-${index} { color: ${expression}; }`)
+    .join("\n");
+  const { css } = await render(
+    `${variablesContent}\n${rules}`,
+    [],
+    [],
+    lessOptions
+  );
+  const values = [];
+  postcss.parse(css).walkRules(/^\.p-\d+$/, rule => {
+    rule.walkDecls("color", decl => {
+      values[rule.selector.slice(3)] = decl.value;
+    });
+  });
+  return values;
+}
+
+/*
+  This function compiles default values of theme placeholders into a :root rule,
+  or a rule of the given selector, of css custom properties, e.g.
+  :root {--primary-color: #1890ff;--primary-1: #e6f7ff;}
+*/
+async function renderCustomProperties(
+  variablesContent,
+  placeholders,
+  selector = ":root",
+  lessOptions = {}
+) {
+  const names = [];
+  const expressions = [];
+  placeholders.forEach(({ name, expression }) => {
+    if (!names.includes(name)) {
+      names.push(name);
+      expressions.push(expression);
+    }
+  });
+  const values = await resolveExpressions(
+    variablesContent,
+    expressions,
+    lessOptions
+  );
+  const properties = names
+    .map((name, index) => `--${name}: ${values[index]};`)
+    .join("");
+  return `${selector} {${properties}}`;
+}
+
 /*
   This function takes color string as input and return true if string is a valid color otherwise returns false.
   e.g.
@@ -267,30 +1056,195 @@ function isValidColor(color, customColorRegexArray = []) {
   return false;
 }
 
-async function compileAllLessFilesToCss(
-  localIdentName,
+/*
+  Error thrown when a theme can't be generated, diagnostics hold the less failures, e.g.
+  [{ file: '/src/styles/main.less', line: 3, column: 10, message: 'variable @foo is undefined' }]
+*/
+class ThemeError extends Error {
+  constructor(message, diagnostics = []) {
+    super(message);
+    this.name = "ThemeError";
+    this.diagnostics = diagnostics;
+  }
+}
+
+/*
+  This function turns a less (or postcss) error into a diagnostic, columns are 1-based
+*/
+function toDiagnostic(error, file) {
+  const column =
+    typeof error.column === "number" && error.type
+      ? error.column + 1 // Less columns start at 0
+      : error.column;
+  return {
+    file:
+      (error.filename && error.filename !== "input" ? error.filename : file) ||
+      null,
+    line: error.line || null,
+    column: column || null,
+    message: error.reason || error.message
+  };
+}
+
+/*
+  E.g. /src/styles/main.less:3:10 variable @foo is undefined
+*/
+function formatDiagnostic({ file, line, column, message }) {
+  const location = [file, line, column].filter(Boolean).join(":");
+  return location ? `${location} ${message}` : message;
+}
+
+/*
+  This function finds all less files in the styles directories, stylesDir can be array or string
+*/
+async function findStyleFiles(stylesDir) {
+  const stylesDirs = [].concat(stylesDir || []);
+  const pss = await Promise.all(
+    stylesDirs.map(s => glob(path.join(s, "./**/*.less")))
+  );
+  return pss.reduce((acc, val) => acc.concat(val), []).sort();
+}
+
+/*
+  Directory name of an antd component, e.g. "DatePicker" or "date-picker" -> "date-picker"
+*/
+function toComponentDir(name) {
+  return name.replace(/([a-z\d])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+/*
+  Less files of antd components and of the components their styles depend on, e.g.
+  getComponentStyleFiles(".../antd/lib", ["Select"]) ->
+    [".../antd/lib/select/style/index.less", ".../antd/lib/empty/style/index.less"]
+  Dependencies are read from style/index.js, which babel-plugin-import loads too.
+  Components without styles are reported as diagnostics.
+*/
+async function getComponentStyleFiles(antdPath, components, diagnostics) {
+  const files = [];
+  const visited = new Set();
+  const visit = async (name, isDependency) => {
+    if (visited.has(name)) {
+      return;
+    }
+
+    visited.add(name);
+    const styleDir = path.join(antdPath, name, "style");
+    const lessFile = path.join(styleDir, "index.less");
+    const [hasLess, script] = await Promise.all([
+      access(lessFile).then(
+        () => true,
+        () => false
+      ),
+      readFile(path.join(styleDir, "index.js")).then(
+        buf => buf.toString(),
+        () => null
+      )
+    ]);
+    if (!hasLess && script === null && !isDependency) {
+      diagnostics.push({
+        message: `antd component "${name}" has no styles in ${antdPath}`
+      });
+      return;
+    }
+
+    if (hasLess) {
+      files.push(lessFile);
+    }
+
+    const dependencyRegex = /(?:require\(|import )["']\.\.\/\.\.\/([\w-]+)\/style["']/g;
+    let match;
+    while ((match = dependencyRegex.exec(script || ""))) {
+      // eslint-disable-next-line no-await-in-loop
+      await visit(match[1], true);
+    }
+  };
+
+  for (const component of components) {
+    // eslint-disable-next-line no-await-in-loop
+    await visit(toComponentDir(component), false);
+  }
+
+  return files;
+}
+
+/*
+  This function creates a cache key from everything a theme is generated from except
+  the contents of its files: options, antd and less versions and the list of style files.
+  Check file contents with hashFiles(theme.fileDependencies) before using a cached theme.
+*/
+async function getThemeCacheKey(options) {
+  const styles = await findStyleFiles(options.stylesDir);
+  let antdVersion = "";
+  try {
+    const buf = await readFile(path.join(options.antDir, "package.json"));
+    antdVersion = JSON.parse(buf.toString()).version;
+  } catch (_) {
+    // AntdStylesDir can point to a copy of antd styles without package.json
+  }
+
+  return createHash("sha1")
+    .update(JSON.stringify(options, serializeOption))
+    .update(`antd@${antdVersion}`)
+    .update(`less@${less.version.join(".")}`)
+    .update(`${pkg.name}@${pkg.version}`)
+    .update(styles.join("\n"))
+    .digest("hex");
+}
+
+function serializeOption(key, value) {
+  if (typeof value === "function" || value instanceof RegExp) {
+    return value.toString();
+  }
+
+  return value;
+}
+
+/*
+  This function hashes paths and contents of files, missing files are hashed too
+*/
+async function hashFiles(files) {
+  const hash = createHash("sha1");
+  const contents = await Promise.all(
+    files.map(file => readFile(file).catch(() => "<missing>"))
+  );
+  files.forEach((file, index) => {
+    hash.update(file);
+    hash.update(contents[index]);
+  });
+  return hash.digest("hex");
+}
+
+async function compileAllLessFilesToCss({
+  localIdent = {},
   stylesDir,
   antdStylesDir,
   varPath,
-  varMap = {}
-) {
+  varMap = {},
+  plugins = [],
+  lessOptions = {},
+  dependencies = new Set(),
+  diagnostics = []
+}) {
   /*
     Get all less files path in styles directory
     and then compile all to css and join
   */
-  const stylesDirs = [].concat(stylesDir);
-  let styles = [];
-  const gg = stylesDirs.map(s => {
-    return glob(path.join(s, "./**/*.less"));
+  const styles = await findStyleFiles(stylesDir);
+  // Less defines modifyVars last and the last definition wins, so every use of a theme
+  // variable, also in imported files, gets its placeholder
+  const renderOptions = Object.assign({}, lessOptions, {
+    modifyVars: Object.assign({}, lessOptions.modifyVars, varMap)
   });
-  const pss = await Promise.all(gg);
-  styles = styles.concat(
-    pss.reduce((acc, val) => acc.concat(val), []),
-    []
-  );
   const csss = await Promise.all(
     styles.map(async filePath => {
-      let fileContent = await addLocalIdentName(filePath, localIdentName);
+      let fileContent;
+      try {
+        fileContent = await addLocalIdentName(filePath, localIdent);
+      } catch (e) {
+        diagnostics.push(toDiagnostic(e, filePath));
+        return "\n";
+      }
+
       // Removed imports to avoid duplicate styles due to reading file separately as well as part of parent file (which is importing)
       // if (avoidDuplicates) fileContent = fileContent.replace(/@import\ ["'](.*)["'];/g, '\n');
       const r = /@import ["'](.*)["'];/g;
@@ -308,29 +1262,31 @@ async function compileAllLessFilesToCss(
 
         return "";
       });
-      Object.keys(varMap).forEach(varName => {
-        fileContent = fileContent.replace(
-          new RegExp(`(:.*)(${varName})`, "g"),
-          match => {
-            return match.replace(varName, varMap[varName]);
-          }
-        );
-      });
       fileContent = `@import "${varPath}";\n${fileContent}`;
       // FileContent = `@import "~antd/lib/style/themes/default.less";\n${fileContent}`;
       return less
-        .render(fileContent, {
-          paths: [antdStylesDir].concat(stylesDir),
-          filename: path.resolve(filePath),
-          javascriptEnabled: true,
-          plugins: [new NpmImportPlugin({ prefix: "~" })]
-        })
+        .render(
+          fileContent,
+          Object.assign(
+            getRenderOptions(
+              { paths: [antdStylesDir].concat(stylesDir), plugins },
+              renderOptions
+            ),
+            { filename: path.resolve(filePath) }
+          )
+        )
         .then(res => {
+          res.imports.forEach(file => dependencies.add(file));
           return res;
         })
         .catch(e => {
-          console.error(`Error occurred compiling file ${filePath}`);
-          console.error("Error", e);
+          const diagnostic = toDiagnostic(e, filePath);
+          // Line numbers are off by the @import of varPath prepended above
+          if (diagnostic.file === path.resolve(filePath) && diagnostic.line) {
+            diagnostic.line -= 1;
+          }
+
+          diagnostics.push(diagnostic);
           return "\n";
         });
     })
@@ -358,15 +1314,73 @@ async function compileAllLessFilesToCss(
   related css rules based on Ant Design styles and your own custom styles
   By default color.less will be generated in /public directory
 */
-async function generateTheme({
+async function generateTheme(options) {
+  const { css, diagnostics } = await buildTheme(options);
+  diagnostics.forEach(diagnostic => {
+    console.warn(
+      `Error occurred compiling file ${formatDiagnostic(diagnostic)}`
+    );
+  });
+  return css;
+}
+
+/*
+  Same as generateTheme but resolves to the theme and what is known about it
+  {
+    css: '...',
+    variables: { '@primary-color': '#1890ff' }, // default values of theme variables
+    derivedVariables: ['@link-color', ...], // variables added by the autoDerive option
+    diagnostics: [...], // style files which failed to compile and were left out, see ThemeError
+    fileDependencies: [...], // every less file which was read to generate the theme
+    contextDependencies: [...] // stylesDir directories, new files there change the theme
+  }
+  options.resolve(context, request) resolves to the file of a less import like "antd/lib/style/themes/default.less",
+  Node's module resolution from the importing file, then from antDir, by default. The webpack plugin passes webpack's resolver.
+*/
+async function buildTheme({
   antDir,
   antdStylesDir,
   stylesDir,
   varFile,
   localIdentName,
+  localIdentContext,
+  localIdentHashSalt,
+  localIdentHashFunction,
+  localIdentHashDigest,
+  localIdentHashDigestLength,
+  getLocalIdent,
   themeVariables = ["@primary-color"],
-  customColorRegexArray = []
+  customColorRegexArray = [],
+  palettes,
+  autoDerive = false,
+  components,
+  minimal = false,
+  outputMode = "less",
+  baseTheme = "default",
+  scope,
+  prefixCls,
+  iconPrefixCls,
+  // Files outside of your project, e.g. a shared varFile, still find the antd next to antDir
+  resolve = (context, request) => nodeResolve(context, request, [antDir]),
+  lessOptions = {},
+  strict = false
 }) {
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    throw new Error(
+      `Unknown outputMode "${outputMode}", expected one of ${OUTPUT_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!BASE_THEMES.includes(baseTheme)) {
+    throw new Error(
+      `Unknown baseTheme "${baseTheme}", expected one of ${BASE_THEMES.join(
+        ", "
+      )}`
+    );
+  }
+
   try {
     let antdPath;
     if (antdStylesDir) {
@@ -375,55 +1389,34 @@ async function generateTheme({
       antdPath = path.join(antDir, "lib");
     }
 
-    const nodeModulesPath = path.join(
-      antDir.slice(0, antDir.indexOf("node_modules")),
-      "./node_modules"
-    );
-    /*
-      StylesDir can be array or string
-    */
+    // Less plugin loading imports with resolve, given to every compile step which reads your files
+    const importer = resolvePlugin(resolve);
     const stylesDirs = [].concat(stylesDir);
-    let styles = [];
-    const gg = stylesDirs.map(s => {
-      return glob(path.join(s, "./**/*.less"));
-    });
-    const pss = await Promise.all(gg);
-    styles = styles.concat(
-      pss.reduce((acc, val) => acc.concat(val), []),
-      []
+    const styles = await findStyleFiles(stylesDir);
+
+    // Antd.less, antd.dark.less or antd.compact.less
+    const antdStylesFile = path.join(
+      antDir,
+      baseTheme === "default"
+        ? "./dist/antd.less"
+        : `./dist/antd.${baseTheme}.less`
+    ); // Path.join(antdPath, './style/index.less');
+    const baseThemeFile = path.join(
+      antdPath,
+      `./style/themes/${baseTheme}.less`
     );
 
-    const antdStylesFile = path.join(antDir, "./dist/antd.less"); // Path.join(antdPath, './style/index.less');
-
     /*
       You own custom styles (Change according to your project structure)
 
       - stylesDir - styles directory containing all less files
       - varFile - variable file containing ant design specific and your own custom variables
     */
-    varFile = varFile || path.join(antdPath, "./style/themes/default.less");
-
-    let content = "";
-    const ps = styles.map(filePath => {
-      return addLocalIdentName(filePath, localIdentName);
-    });
-    const pss2 = await Promise.all(ps);
-    content = pss2.join("");
-
-    const hashCode = createHash("sha1")
-      .update(content)
-      .digest("hex");
-    if (hashCode === hashCache) {
-      return cssCache;
-    }
+    varFile = varFile || baseThemeFile;
 
-    hashCache = hashCode;
-    let themeCompiledVars = {};
     let themeVars = themeVariables || ["@primary-color"];
     const lessPaths = [path.join(antdPath, "./style")].concat(stylesDir);
 
-    const randomColors = {};
-    const randomColorsVars = {};
     /*
     Ant Design Specific Files (Change according to your project structure)
     You can even use different less based css framework and create color.less for  that
@@ -438,213 +1431,496 @@ async function generateTheme({
     4.
   */
 
-    const varFileContent = await combineLess(varFile, nodeModulesPath);
-
-    customColorRegexArray = [
-      ...customColorRegexArray,
-      ...[
-        "color",
-        "lighten",
-        "darken",
-        "saturate",
-        "desaturate",
-        "fadein",
-        "fadeout",
-        "fade",
-        "spin",
-        "mix",
-        "hsv",
-        "tint",
-        "shade",
-        "greyscale",
-        "multiply",
-        "contrast",
-        "screen",
-        "overlay"
-        // eslint-disable-next-line no-useless-escape
-      ].map(name => new RegExp(`${name}\(.*\)`))
-    ];
-    const mappings = Object.assign(
-      generateColorMap(varFileContent, customColorRegexArray),
-      await getLessVars(varFile)
+    const dependencies = new Set(
+      styles.map(filePath => path.resolve(filePath))
     );
-    let css = "";
-    const PRIMARY_RANDOM_COLOR = "#123456";
-    themeVars = themeVars.filter(
-      name => name in mappings && !name.match(/(.*)-(\d)/)
+    // ModifyVars override varFile but not the placeholder colors of theme variables, which less would
+    // apply after everything else, so they are written after varFile and antd's variables instead
+    const variableOverrides = toLessVariables(lessOptions.modifyVars);
+    const renderOptions = Object.assign({}, lessOptions, { modifyVars: {} });
+    const varFileContent = `${await combineLess(
+      varFile,
+      resolve,
+      dependencies
+    )}\n${variableOverrides}`;
+    // Variables of antd's base theme, dark.less and compact.less import default.less and override some of them
+    const baseThemeContent = await combineLess(
+      baseThemeFile,
+      resolve,
+      dependencies
     );
-    themeVars.forEach(varName => {
-      let color = randomColor();
-      if (varName === "@primary-color") {
-        color = PRIMARY_RANDOM_COLOR;
-      } else {
-        while (
-          (randomColorsVars[color] && color === PRIMARY_RANDOM_COLOR) ||
-          color === "#000000" ||
-          color === "#ffffff"
+    // Shades only defined in your varFile are not part of color.less, so keep their expression
+    const isAntdVariable = name =>
+      new RegExp(`^${name}\\s*:`, "m").test(baseThemeContent);
+
+    customColorRegexArray = withColorFunctions(customColorRegexArray);
+    const colorMap = generateColorMap(varFileContent, customColorRegexArray);
+    const varFileVars = await getLessVars(varFile);
+    // ModifyVars win over the definitions read from varFile
+    Object.keys(getVariableGraph(variableOverrides)).forEach(name => {
+      delete varFileVars[name];
+    });
+    const mappings = Object.assign({}, colorMap, varFileVars);
+    const shades = getPaletteShades(varFileContent);
+    const isShade = name => shades.some(shade => shade.name === name);
+    // Shades are derived from their seed, theming them on their own has no effect
+    themeVars = themeVars.filter(name => name in mappings && !isShade(name));
+    /*
+      Seed variables keep their values in color.less and the manifest, derived ones keep
+      their definitions from varFile (e.g. @link-color: @primary-color;) so they follow the seeds.
+      Both get their own placeholder color to be mapped back to in the generated css.
+    */
+    const seedVars = themeVars;
+    const graph = getVariableGraph(varFileContent);
+    // Antd's styles are compiled once per prefix, e.g. for apps which mix antd versions
+    const prefixes = getPrefixes(graph, prefixCls, iconPrefixCls);
+    const withPrefix = (content, prefix) =>
+      `${content}\n@ant-prefix: ${prefix.prefixCls};\n@iconfont-css-prefix: ${prefix.iconPrefixCls};`;
+    const derivedVariables = autoDerive
+      ? getDerivedVariables(graph, seedVars).filter(
+          name => name in colorMap && !isShade(name)
+        )
+      : [];
+    themeVars = seedVars.concat(derivedVariables);
+    // Values of seed variables and definitions of derived ones, as written to color.less
+    const definitions = Object.assign({}, mappings);
+    // Variables of varFile which color.less doesn't define, e.g. @brand of
+    // @link-color: mix(@primary-color, @brand); are written to it with their values
+    const defaultsGraph = getVariableGraph(
+      `${baseThemeContent}\n${variableOverrides}`
+    );
+    const varFileOnlyVars = [];
+    derivedVariables.forEach(name => {
+      graph[name].dependencies.forEach(dependency => {
+        if (
+          dependency in graph &&
+          !(dependency in defaultsGraph) &&
+          !themeVars.includes(dependency) &&
+          !varFileOnlyVars.includes(dependency)
         ) {
-          color = randomColor();
+          varFileOnlyVars.push(dependency);
         }
-      }
-
-      randomColors[varName] = color;
-      randomColorsVars[color] = varName;
-      css = `.${varName.replace("@", "")} { color: ${color}; }\n ${css}`;
+      });
     });
-
-    let varsContent = "";
+    // Seeds are compiled against varFile, e.g. @primary-color: @brand; and @primary-color: @blue-6;
+    // which is #177ddc once dark.less redefines @blue-6, colorMap reads variables top to bottom.
+    // A varFile which doesn't compile on its own keeps the values read by colorMap.
+    const varFileValues = await resolveExpressions(
+      varFileContent,
+      seedVars.concat(varFileOnlyVars),
+      renderOptions
+    ).catch(() => []);
+    seedVars.forEach((name, index) => {
+      definitions[name] = varFileValues[index] || getColor(name, mappings);
+    });
+    derivedVariables.forEach(name => {
+      definitions[name] = graph[name].definition;
+    });
+    const varFileOnlyContent = varFileOnlyVars
+      .map(
+        (name, index) =>
+          `${name}: ${varFileValues[seedVars.length + index] ||
+            graph[name].definition};`
+      )
+      .join("\n");
+    const defaultsContent = `${baseThemeContent}\n${variableOverrides}\n${varFileOnlyContent}`;
+    // Shade variable name -> expression it is compiled from, and the theme variable it is a shade of
+    const shadeExpressions = {};
+    const placeholderShades = {};
+    let shadeClasses = "";
     themeVars.forEach(varName => {
-      [1, 2, 3, 4, 5, 7, 8, 9, 10].forEach(key => {
-        const name =
-          varName === "@primary-color"
-            ? `@primary-${key}`
-            : `${varName}-${key}`;
-        css = `.${name.replace("@", "")} { color: ${getShade(
-          name
-        )}; }\n ${css}`;
+      getPalette(varName, {
+        shades,
+        mappingsContent: varFileContent,
+        palettes,
+        themeVars
+      }).forEach(({ name, index }) => {
+        if (themeVars.includes(name) || name in shadeExpressions) {
+          return;
+        }
+
+        shadeExpressions[name] = getShade(varName, index);
+        placeholderShades[name] = {
+          owner: varName,
+          expression: shadeExpressions[name]
+        };
+        // The base theme can define them differently, e.g. dark.less mixes them with the background
+        shadeClasses = `${shadeClasses}.${name.replace("@", "")} { color: ${
+          isAntdVariable(name) ? name : shadeExpressions[name]
+        }; }\n`;
       });
-      varsContent += `${varName}: ${randomColors[varName]};\n`;
     });
 
-    // This is to compile colors
-    // Put colors.less content first,
-    // then add random color variables to override the variables values for given theme variables with random colors
-    // Then add css containinf color variable classes
-    const colorFileContent = await combineLess(
-      path.join(antdPath, "./style/color/colors.less"),
-      nodeModulesPath
+    const diagnostics = [];
+    const localIdent = {
+      localIdentName,
+      localIdentContext,
+      localIdentHashSalt,
+      localIdentHashFunction,
+      localIdentHashDigest,
+      localIdentHashDigestLength,
+      getLocalIdent
+    };
+    // Only the styles of these components and their dependencies, all of antd.less by default
+    // and for "auto", which only bundler adapters can resolve
+    const componentStyleFiles = Array.isArray(components)
+      ? await getComponentStyleFiles(antdPath, components, diagnostics)
+      : null;
+    let antLessContent = componentStyleFiles
+      ? [
+          path.join(
+            antdPath,
+            baseTheme === "default"
+              ? "./style/index.less"
+              : `./style/${baseTheme}.less`
+          )
+        ]
+          .concat(componentStyleFiles)
+          .map(file => `@import "${file.replace(/\\/g, "/")}";`)
+          .join("\n")
+      : (await readFile(antdStylesFile)).toString();
+    // Placeholder colors of theme variables are added after them
+    antLessContent = `${antLessContent}\n${variableOverrides}`;
+
+    // Colors antd and your styles already use, placeholders must differ from all of them
+    const [referenceAntdCss, referenceCustomCss] = await Promise.all([
+      render(
+        withPrefix(antLessContent, prefixes[0]),
+        [antdPath, antdStylesDir],
+        [importer],
+        renderOptions
+      ).then(result => result.css),
+      compileAllLessFilesToCss({
+        localIdent,
+        stylesDir,
+        antdStylesDir,
+        varPath: varFile,
+        plugins: [importer],
+        lessOptions,
+        // Failures are reported by the compilation below
+        diagnostics: []
+      })
+    ]);
+    const usedColors = collectColors(
+      `${referenceAntdCss}\n${referenceCustomCss}`
     );
-    css = `${colorFileContent}\n${varsContent}\n${css}`;
 
-    let results = await render(css, lessPaths);
-    css = results.css;
-    css = css.replace(/(\/.*\/)/g, "");
-    // eslint-disable-next-line no-useless-escape
-    const regex = /.(?=\S*['-])([.a-zA-Z0-9'-]+)\ {\n {2}color: (.*);/g;
-    themeCompiledVars = getMatches(css, regex);
+    // Compiles placeholder colors of theme variables along with their shades, e.g.
+    // { "@primary-color": "#3ab1c0" } -> { "@primary-color": "#3ab1c0", "@primary-1": "#e6fbfa", ... }
+    const compilePlaceholders = async colors => {
+      const varsContent = themeVars
+        .map(varName => `${varName}: ${colors[varName]};\n`)
+        .join("");
+      const themeClasses = themeVars
+        .map(
+          varName =>
+            `.${varName.replace("@", "")} { color: ${colors[varName]}; }\n`
+        )
+        .join("");
+      const { css: compiled } = await render(
+        `${defaultsContent}\n${varsContent}\n${themeClasses}${shadeClasses}`,
+        lessPaths,
+        [],
+        renderOptions
+      );
+      // eslint-disable-next-line no-useless-escape
+      const regex = /.(?=\S*['-])([.a-zA-Z0-9'-]+)\ {\n {2}color: (.*);/g;
+      return getMatches(compiled.replace(/(\/.*\/)/g, ""), regex);
+    };
+
+    const { compiled: themeCompiledVars } = await allocatePlaceholderColors(
+      themeVars,
+      {
+        usedColors,
+        shades: placeholderShades,
+        compile: compilePlaceholders
+      }
+    );
+
+    /*
+      Compiled placeholder colors and the expressions they stand for, e.g.
+      { color: "#123456", expression: "@primary-color", name: "primary-color" }
+    */
+    const placeholders = [];
+    Object.keys(themeCompiledVars).forEach(varName => {
+      placeholders.push({
+        color: themeCompiledVars[varName],
+        expression:
+          varName in shadeExpressions && !isAntdVariable(varName)
+            ? shadeExpressions[varName]
+            : varName,
+        name: toCustomPropertyName(varName)
+      });
+    });
+
+    // Colors computed from placeholders, e.g. darken(@primary-color, 5%), get placeholders of their own
+    // Shades like @alert-info-bg-color: ~`colorPalette(...)`; are strings, color functions need color()
+    const expressionOf = {};
+    placeholders.forEach(({ color, expression }) => {
+      const key = normalizeColor(color);
+      if (!(key in expressionOf)) {
+        expressionOf[key] =
+          expression in graph && graph[expression].definition.startsWith("~")
+            ? `color(${expression})`
+            : expression;
+      }
+    });
+    const derivedColors = themeFunctionsPlugin({
+      expressionOf,
+      taken: new Set(Array.from(usedColors).concat(Object.keys(expressionOf)))
+    });
 
     // Convert all custom user less files to css
-    const userCustomCss = await compileAllLessFilesToCss(
-      localIdentName,
+    const userCustomCss = await compileAllLessFilesToCss({
+      localIdent,
       stylesDir,
       antdStylesDir,
-      varFile,
-      themeCompiledVars
-    );
-
-    let antLessContentBuf = await readFile(antdStylesFile);
-    let antLessContent = antLessContentBuf.toString();
-
-    const antdLess = await bundle({
-      src: antdStylesFile
+      varPath: varFile,
+      varMap: themeCompiledVars,
+      plugins: [importer, derivedColors],
+      lessOptions,
+      dependencies,
+      diagnostics
     });
-    // Fs.writeFileSync('./antd.less', antdLess);
-    // const antdLess = bundle(antdStylesFile, nodeModulesPath)
-    let fadeMap = {};
-    const fades = antdLess.match(/fade\(.*\)/g);
-    if (fades) {
-      fades.forEach(fade => {
-        if (
-          !fade.startsWith("fade(@black") &&
-          !fade.startsWith("fade(@white") &&
-          !fade.startsWith("fade(#") &&
-          !fade.startsWith("fade(@color")
-        ) {
-          fadeMap[fade] = randomColor();
-        }
-      });
+    if (strict && diagnostics.length > 0) {
+      throw new ThemeError(
+        `Failed to compile ${diagnostics.length} style file(s)`,
+        diagnostics
+      );
     }
 
     let varsCombined = "";
     themeVars.forEach(varName => {
-      let color;
-      if (/(.*)-(\d)/.test(varName)) {
-        color = getShade(varName);
-        return;
-      }
-
-      color = themeCompiledVars[varName];
-
-      varsCombined = `${varsCombined}\n${varName}: ${color};`;
+      varsCombined = `${varsCombined}\n${varName}: ${themeCompiledVars[varName]};`;
     });
 
     antLessContent = `${antLessContent}\n${varsCombined}`;
 
-    const updatedFadeMap = {};
-    Object.keys(fadeMap).forEach(fade => {
-      antLessContent = antLessContent.replace(
-        new RegExp(fade.replace("(", "\\(").replace(")", "\\)"), "g"),
-        fadeMap[fade]
-      );
-    });
-    fadeMap = { ...fadeMap, ...updatedFadeMap };
+    const antResults = await Promise.all(
+      prefixes.map(prefix =>
+        render(
+          withPrefix(antLessContent, prefix),
+          [antdPath, antdStylesDir],
+          [importer, derivedColors],
+          renderOptions
+        )
+      )
+    );
+    const antCss = antResults.map(result => result.css).join("\n");
+    if (!componentStyleFiles) {
+      dependencies.add(path.resolve(antdStylesFile));
+    }
 
-    const { css: antCss } = await render(antLessContent, [
-      antdPath,
-      antdStylesDir
-    ]);
+    antResults.forEach(({ imports }) =>
+      imports.forEach(file => dependencies.add(file))
+    );
     // Console.log('antCss', userCustomCss)
     const allCss = `${antCss}\n${userCustomCss}`;
-    results = await postcss([reducePlugin]).process(allCss, {
+    const results = await postcss(
+      [reducePlugin].concat(scope ? scopePlugin({ scope }) : [])
+    ).process(allCss, {
       from: antdStylesFile
     });
-    css = results.css;
-
-    Object.keys(fadeMap).forEach(fade => {
-      css = css.replace(new RegExp(fadeMap[fade], "g"), fade);
-    });
-
-    Object.keys(themeCompiledVars).forEach(varName => {
-      let color;
-      if (/(.*)-(\d)/.test(varName)) {
-        color = themeCompiledVars[varName];
-        varName = getShade(varName);
-      } else {
-        color = themeCompiledVars[varName];
+    let css = results.css;
+
+    // Different expressions can share a name, e.g. spin(@primary-color, 10) and spin(@primary-color, -10)
+    const names = new Set(placeholders.map(({ name }) => name));
+    derivedColors.getDerived().forEach(({ color, expression }) => {
+      let name = toCustomPropertyName(expression);
+      if (names.has(name)) {
+        name = `${name}-${placeholderColor(expression, 0).slice(1)}`;
       }
 
-      color = color.replace("(", "\\(").replace(")", "\\)");
-      // Css = css.replace(new RegExp(`${color}` + ' *;', 'g'), `${varName};`);
-      css = css.replace(new RegExp(color, "g"), `${varName}`);
+      names.add(name);
+      placeholders.push({ color, expression, name });
     });
 
-    // Handle special cases
-    // https://github.com/mzohaibqc/antd-theme-webpack-plugin/issues/69
-    // 1. Replace fade(@primary-color, 20%) value i.e. rgba(18, 52, 86, 0.2)
-    css = css.replace(
-      // eslint-disable-next-line prefer-regex-literals
-      new RegExp("rgba\\(18, 52, 86, 0.2\\)", "g"),
-      "fade(@primary-color, 20%)"
+    const references = placeholders.map(({ expression, name }) =>
+      outputMode === "css-variables" ? `var(--${name})` : expression
     );
+    const referenceOf = {};
+    placeholders.forEach(({ color }, index) => {
+      const key = normalizeColor(color);
+      if (!(key in referenceOf)) {
+        referenceOf[key] = references[index];
+      }
+    });
+    css = (
+      await postcss([substituteColorsPlugin({ referenceOf })]).process(css, {
+        from: undefined
+      })
+    ).css;
+
+    // Colors which don't change with the theme are left to the app's own stylesheet
+    if (minimal) {
+      css = (
+        await postcss([minimalPlugin({ references })]).process(css, {
+          from: undefined
+        })
+      ).css;
+    }
 
     // eslint-disable-next-line no-useless-escape
     css = css.replace(/@[\w-_]+:\s*.*;[\/.]*/gm, "");
 
     // This is to replace \9 in Ant Design styles
     css = css.replace(/\\9/g, "");
-    const antdDefault = await combineLess(
-      path.join(antdPath, "./style/themes/default.less"),
-      nodeModulesPath
+    const variablesContent = withThemeVariables(
+      defaultsContent,
+      themeVars,
+      definitions
     );
-    css = `${css.trim()}\n${antdDefault}`;
-
-    themeVars.reverse().forEach(varName => {
-      css = css.replace(new RegExp(`${varName}( *):(.*);`, "g"), "");
-      css = `${varName}: ${mappings[varName]};\n${css}\n`;
+    const values = await resolveExpressions(
+      variablesContent,
+      seedVars,
+      renderOptions
+    );
+    const variables = {};
+    seedVars.forEach((varName, index) => {
+      variables[varName] = values[index];
     });
 
+    if (outputMode === "css-variables") {
+      const customProperties = await renderCustomProperties(
+        variablesContent,
+        placeholders.filter(({ name }) => css.includes(`var(--${name})`)),
+        scope || ":root",
+        renderOptions
+      );
+      css = `${customProperties}\n${css.trim()}`;
+    } else {
+      css = withThemeVariables(
+        `${css.trim()}\n${defaultsContent}`,
+        themeVars,
+        definitions
+      );
+    }
+
     css = minifyCss(css);
 
-    cssCache = css;
-    return cssCache;
+    return {
+      css,
+      variables,
+      derivedVariables,
+      diagnostics,
+      fileDependencies: Array.from(dependencies).sort(),
+      contextDependencies: stylesDirs.map(dir => path.resolve(dir))
+    };
   } catch (error) {
-    console.log("error", error);
-    return "";
+    if (error instanceof ThemeError) {
+      throw error;
+    }
+
+    const diagnostic = toDiagnostic(error);
+    throw new ThemeError(
+      `Failed to generate theme: ${formatDiagnostic(diagnostic)}`,
+      [diagnostic]
+    );
   }
 }
 
+/*
+  Lists every color variable of antd's default.less and your varFile, to decide which ones
+  to expose as themeVariables, e.g.
+  [
+    {
+      name: "@link-color",
+      definition: "@primary-color",
+      value: "#1890ff",
+      dependencies: ["@primary-color"],
+      usages: 8 // rules of the generated stylesheet using @link-color itself when it is a theme variable
+    },
+    ...
+  ]
+  Takes the same options as generateTheme, themeVariables are ignored.
+*/
+async function inspectThemeVariables(options) {
+  const {
+    antDir,
+    antdStylesDir,
+    varFile,
+    customColorRegexArray,
+    baseTheme = "default",
+    resolve = (context, request) => nodeResolve(context, request, [antDir]),
+    lessOptions = {}
+  } = options;
+  const antdPath = antdStylesDir || path.join(antDir, "lib");
+  const files = [
+    path.join(antdPath, `./style/themes/${baseTheme}.less`)
+  ].concat(varFile || []);
+  const content = (
+    await Promise.all(files.map(file => combineLess(file, resolve)))
+  )
+    .concat(toLessVariables(lessOptions.modifyVars))
+    .join("\n");
+
+  const graph = getVariableGraph(content);
+  const colorMap = generateColorMap(
+    content,
+    withColorFunctions(customColorRegexArray)
+  );
+  const shades = getPaletteShades(content);
+  const names = Object.keys(graph).filter(
+    name => name in colorMap || shades.some(shade => shade.name === name)
+  );
+  const values = await resolveExpressions(
+    content,
+    names,
+    Object.assign({}, lessOptions, { modifyVars: {} })
+  );
+
+  // Generate the stylesheet with all of them as theme variables and count which rules use them
+  const { css } = await buildTheme(
+    Object.assign({}, options, {
+      themeVariables: names,
+      autoDerive: false,
+      outputMode: "less",
+      strict: false
+    })
+  );
+  const usages = {};
+  lessSyntax.parse(css).walkRules(rule => {
+    const used = new Set();
+    rule.walkDecls(decl => {
+      (decl.value.match(/@[\w-]+/g) || []).forEach(name => used.add(name));
+    });
+    used.forEach(name => {
+      usages[name] = (usages[name] || 0) + 1;
+    });
+  });
+
+  return names.map((name, index) => ({
+    name,
+    definition: graph[name].definition,
+    value: values[index],
+    dependencies: graph[name].dependencies,
+    usages: usages[name] || 0
+  }));
+}
+
+/*
+  This function compiles a generated theme (the output of generateTheme) with given
+  variable values into plain css, so a theme preset can be shipped without less.js.
+  e.g.
+  compileThemePreset(css, { "@primary-color": "#722ed1" }, { math: "always" })
+*/
+async function compileThemePreset(source, vars = {}, lessOptions = {}) {
+  const { css } = await less.render(
+    source,
+    Object.assign(getRenderOptions({}, lessOptions), { modifyVars: vars })
+  );
+  return css;
+}
+
 module.exports = {
   generateTheme,
+  buildTheme,
+  inspectThemeVariables,
+  ThemeError,
+  formatDiagnostic,
+  getThemeCacheKey,
+  hashFiles,
+  compileThemePreset,
   isValidColor,
   getLessVars,
   randomColor,
@@ -748,7 +2024,15 @@ to
 //   };
 // });
 
-async function combineLess(filePath, nodeModulesPath) {
+/*
+  This function inlines the imports of a less file, imports of modules (~antd/...) and those which
+  aren't found relative to the file, e.g. aliases, are resolved with resolve(context, request)
+*/
+async function combineLess(filePath, resolve, dependencies) {
+  if (dependencies) {
+    dependencies.add(path.resolve(filePath));
+  }
+
   const buf = await readFile(filePath);
   const fileContent = buf.toString();
   const directory = path.dirname(filePath);
@@ -760,13 +2044,13 @@ async function combineLess(filePath, nodeModulesPath) {
         importPath += ".less";
       }
 
-      let newPath = path.join(directory, importPath);
-      if (importPath.startsWith("~")) {
-        importPath = importPath.replace("~", "");
-        newPath = path.join(nodeModulesPath, `./${importPath}`);
-      }
-
-      return combineLess(newPath, nodeModulesPath);
+      const newPath = importPath.startsWith("~")
+        ? await resolveImport(resolve, directory, importPath.slice(1))
+        : await access(path.join(directory, importPath)).then(
+            () => path.join(directory, importPath),
+            () => resolveImport(resolve, directory, importPath)
+          );
+      return combineLess(newPath, resolve, dependencies);
     }
 
     return line;
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/* eslint-disable capitalized-comments */
+/*
+  Generates the theme outside webpack, with the same options as AntDesignThemePlugin:
+
+  antd-theme generate --config theme.config.js --out public/color.less [--watch]
+*/
+const fs = require("fs");
+const path = require("path");
+const glob = require("fast-glob");
+const { promisify } = require("util");
+const { ThemeError, formatDiagnostic } = require("./antd-theme-generator");
+const { normalizeOptions, getDefaultFilename } = require("./options");
+const { generateThemeEntry, getThemeAssets } = require("./core");
+
+const writeFile = promisify(fs.writeFile);
+const mkdir = promisify(fs.mkdir);
+
+const usage = `Usage: antd-theme generate [options]
+
+Generates color.less (or color.css), the theme presets and theme-manifest.json
+
+Options:
+  -c, --config <file>  Module exporting the plugin options, or a function resolving to them
+                       (default: theme.config.js)
+  -o, --out <file>     Output file, supports [name], [ext] and [contenthash:8]
+                       (default: the filename option, or color.less)
+  -w, --watch          Generate again whenever one of the theme's files changes
+  -h, --help           Show this message`;
+
+/*
+  parseArgs(["generate", "--out=dist/color.less", "-w"])
+    -> { command: "generate", config: "theme.config.js", out: "dist/color.less", watch: true, help: false }
+*/
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    config: "theme.config.js",
+    out: null,
+    watch: false,
+    help: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const separator = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    const flag = separator > 0 ? arg.slice(0, separator) : arg;
+    const getValue = () => {
+      const value = separator > 0 ? arg.slice(separator + 1) : argv[++i];
+      if (!value) {
+        throw new Error(`Missing value of ${flag}`);
+      }
+
+      return value;
+    };
+
+    switch (flag) {
+      case "-c":
+      case "--config":
+        args.config = getValue();
+        break;
+      case "-o":
+      case "--out":
+        args.out = getValue();
+        break;
+      case "-w":
+      case "--watch":
+        args.watch = true;
+        break;
+      case "-h":
+      case "--help":
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith("-") || args.command) {
+          throw new Error(`Unknown argument "${arg}"`);
+        }
+
+        args.command = arg;
+    }
+  }
+
+  return args;
+}
+
+/*
+  Requires the config again on every call, so --watch picks up its changes
+*/
+async function loadOptions(configFile) {
+  delete require.cache[require.resolve(configFile)];
+  const config = require(configFile);
+  const options = typeof config === "function" ? await config() : config;
+  return normalizeOptions(options);
+}
+
+async function writeOutput(file, content) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, content);
+  console.log(`Generated ${path.relative(process.cwd(), file)}`);
+}
+
+/*
+  Writes the theme to the out file, and the presets and manifest next to it.
+  Resolves to the theme, which tells which files to watch.
+*/
+async function generate({ config, out }) {
+  const options = await loadOptions(path.resolve(config));
+  const entry = await generateThemeEntry(options);
+  entry.theme.diagnostics.forEach(diagnostic =>
+    console.warn(`Warning: ${formatDiagnostic(diagnostic)}`)
+  );
+
+  const outFile = path.resolve(
+    out || options.filename || getDefaultFilename(options)
+  );
+  const outDir = path.dirname(outFile);
+  const { assets } = getThemeAssets(
+    Object.assign({}, options, { filename: path.basename(outFile) }),
+    entry,
+    { publicPath: options.publicPath }
+  );
+  for (const { filename, source } of assets) {
+    // eslint-disable-next-line no-await-in-loop
+    await writeOutput(path.join(outDir, filename), source);
+  }
+
+  return entry.theme;
+}
+
+function reportError(error) {
+  if (error instanceof ThemeError) {
+    // Same as the plugin's webpack errors, the diagnostics tell more than the message
+    error.diagnostics.forEach(diagnostic =>
+      console.error(`Error: ${formatDiagnostic(diagnostic)}`)
+    );
+    return;
+  }
+
+  console.error(error.stack || error.message);
+}
+
+/*
+  Polls the config and the theme's own files, and listens for files added to stylesDir,
+  failed builds are reported and the files of the last successful one stay watched.
+  Files of node_modules, e.g. antd's, change with installs only and are left out.
+*/
+function watch(args, theme) {
+  const configFile = path.resolve(args.config);
+  let unwatchers = [];
+  let timer = null;
+  let building = Promise.resolve();
+
+  const rebuild = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      building = building
+        .then(() => generate(args))
+        .then(watchTheme, reportError);
+    }, 100);
+  };
+
+  const watchTheme = nextTheme => {
+    unwatchers.forEach(unwatch => unwatch());
+    unwatchers = [];
+    // Those of stylesDir are reported by its directory watchers
+    const ownFiles = nextTheme.fileDependencies.filter(
+      file =>
+        !file.split(path.sep).includes("node_modules") &&
+        !nextTheme.contextDependencies.some(dir =>
+          file.startsWith(dir + path.sep)
+        )
+    );
+    ownFiles.concat(configFile).forEach(file => {
+      const listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          rebuild();
+        }
+      };
+
+      fs.watchFile(file, { interval: 300 }, listener);
+      unwatchers.push(() => fs.unwatchFile(file, listener));
+    });
+    // fs.watch isn't recursive on every platform, so each directory of stylesDir
+    // is watched, directories added to it are watched after the rebuild
+    nextTheme.contextDependencies.forEach(dir => {
+      const dirs = [dir].concat(
+        glob.sync("**", {
+          cwd: dir,
+          onlyDirectories: true,
+          absolute: true,
+          ignore: ["**/node_modules/**"]
+        })
+      );
+      dirs.forEach(subdir => {
+        try {
+          const watcher = fs.watch(subdir, rebuild);
+          unwatchers.push(() => watcher.close());
+        } catch (_) {
+          // A missing stylesDir is watched again once a build succeeds
+        }
+      });
+    });
+    console.log("Watching for changes...");
+  };
+
+  watchTheme(theme || { fileDependencies: [], contextDependencies: [] });
+}
+
+/*
+  Resolves to the exit code, in watch mode once the first build is done
+*/
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 1;
+  }
+
+  if (args.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  if (args.command !== "generate") {
+    console.error(usage);
+    return 1;
+  }
+
+  let theme = null;
+  try {
+    theme = await generate(args);
+  } catch (error) {
+    reportError(error);
+    if (!args.watch) {
+      return 1;
+    }
+  }
+
+  if (args.watch) {
+    watch(args, theme);
+  }
+
+  return 0;
+}
+
+module.exports = { main, parseArgs };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
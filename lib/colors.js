@@ -0,0 +1,170 @@
+/*
+  Reads colors of css values the same way however they are written, so "#6DD2A1",
+  "rgb(109 210 161)" and "hsl(151, 52%, 63%)" are all the same color "#6dd2a1"
+*/
+const postcss = require("postcss");
+const valueParser = require("postcss-value-parser");
+const colorNames = require("color-name");
+
+const COLOR_FUNCTIONS = /^(rgb|hsl)a?$/i;
+
+function parseNumber(value, percentOf) {
+  const number = valueParser.unit(value);
+  if (!number) {
+    return NaN;
+  }
+
+  const unit = number.unit.toLowerCase();
+  if (unit === "%") {
+    return (Number(number.number) * percentOf) / 100;
+  }
+
+  return unit === "" || unit === "deg" ? Number(number.number) : NaN;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 360;
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return [h + 1 / 3, h, h - 1 / 3].map(t => {
+    t = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (t < 1 / 6) return (p + (q - p) * 6 * t) * 255;
+    if (t < 1 / 2) return q * 255;
+    if (t < 2 / 3) return (p + (q - p) * (2 / 3 - t) * 6) * 255;
+    return p * 255;
+  });
+}
+
+/*
+  [red, green, blue, alpha] of a postcss-value-parser node, null when it isn't a color, e.g.
+  word "#fff" -> [255, 255, 255, 1], function "hsla(0, 100%, 50%, .5)" -> [255, 0, 0, 0.5]
+*/
+function parseColor(node) {
+  if (node.type === "word") {
+    const value = node.value.toLowerCase();
+    if (value in colorNames) {
+      return colorNames[value].concat(1);
+    }
+
+    const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+    if (!hex) {
+      return null;
+    }
+
+    const digits =
+      hex[1].length <= 4
+        ? hex[1].replace(/[0-9a-f]/g, digit => digit + digit)
+        : hex[1];
+    const channels = [0, 2, 4, 6].map(start =>
+      parseInt(digits.slice(start, start + 2) || "ff", 16)
+    );
+    channels[3] /= 255;
+    return channels;
+  }
+
+  if (node.type !== "function" || !COLOR_FUNCTIONS.test(node.value)) {
+    return null;
+  }
+
+  // Commas, spaces and the alpha slash of the modern syntax are all separators
+  const args = node.nodes
+    .filter(arg => arg.type !== "div" && arg.type !== "space")
+    .map(arg => (arg.type === "word" ? arg.value : ""));
+  if (args.length < 3 || args.length > 4) {
+    return null;
+  }
+
+  const alpha = args.length === 4 ? parseNumber(args[3], 1) : 1;
+  const channels = node.value.toLowerCase().startsWith("hsl")
+    ? hslToRgb(
+        parseNumber(args[0], 360),
+        parseNumber(args[1], 100),
+        parseNumber(args[2], 100)
+      )
+    : args.slice(0, 3).map(arg => parseNumber(arg, 255));
+  const color = channels.concat(alpha);
+  return color.some(Number.isNaN) ? null : color;
+}
+
+/*
+  Shortest common spelling of a color, hex when it is opaque, e.g.
+  [255, 255, 255, 1] -> "#ffffff", [0, 0, 0, 0.5] -> "rgba(0, 0, 0, 0.5)"
+*/
+function formatColor(color) {
+  const [red, green, blue] = color
+    .slice(0, 3)
+    .map(channel => Math.min(255, Math.max(0, Math.round(channel))));
+  const alpha = Math.min(1, Math.max(0, Number(color[3].toFixed(3))));
+  if (alpha === 1) {
+    return `#${[red, green, blue]
+      .map(channel => channel.toString(16).padStart(2, "0"))
+      .join("")}`;
+  }
+
+  return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+}
+
+/*
+  Writes the same color the same way, e.g. "#FFF" -> "#ffffff", "rgba(0,0,0,.5)" -> "rgba(0, 0, 0, 0.5)",
+  anything else is only trimmed and lowercased
+*/
+function normalizeColor(value) {
+  const nodes = valueParser(value.trim()).nodes;
+  const color = nodes.length === 1 ? parseColor(nodes[0]) : null;
+  return color ? formatColor(color) : value.trim().toLowerCase();
+}
+
+/*
+  Calls replace(color) with every normalized color token of a css value,
+  tokens it returns a string for are replaced, e.g.
+  replaceColors("1px solid #FFF", color => color === "#ffffff" ? "@white" : undefined) -> "1px solid @white"
+*/
+function replaceColors(value, replace) {
+  const parsed = valueParser(value);
+  let changed = false;
+  parsed.walk(node => {
+    // Svg references like url(#id) are not colors
+    if (node.type === "function" && node.value.toLowerCase() === "url") {
+      return false;
+    }
+
+    const color = parseColor(node);
+    if (!color) {
+      return undefined;
+    }
+
+    const replacement = replace(formatColor(color));
+    if (typeof replacement === "string") {
+      node.type = "word";
+      node.value = replacement;
+      changed = true;
+    }
+
+    // Channels of a color function aren't colors themselves
+    return false;
+  });
+  return changed ? parsed.toString() : value;
+}
+
+/*
+  Normalized colors of all declarations of a stylesheet
+*/
+function collectColors(css) {
+  const colors = new Set();
+  postcss.parse(css).walkDecls(decl => {
+    replaceColors(decl.value, color => {
+      colors.add(color);
+    });
+  });
+  return colors;
+}
+
+module.exports = {
+  parseColor,
+  formatColor,
+  normalizeColor,
+  replaceColors,
+  collectColors
+};
@@ -0,0 +1,214 @@
+/* eslint-disable capitalized-comments */
+/*
+  Bundler independent part of the plugins: builds the theme and lists the files to emit.
+  The webpack, rspack and vite adapters only decide when to build and how to emit.
+*/
+const path = require("path");
+const crypto = require("crypto");
+const { buildTheme } = require("./antd-theme-generator");
+const {
+  getDefaultFilename,
+  interpolateFilename,
+  usesContentHash,
+  compileThemePresets,
+  createManifest
+} = require("./options");
+
+// Used for [contenthash] where no bundler hash settings apply, md4 is not available on every node version
+const defaultHashOptions = {
+  createHash: crypto.createHash,
+  hashFunction: "sha256",
+  hashDigest: "hex",
+  hashDigestLength: 20
+};
+
+/*
+  Builds the theme and compiles its presets, resolves to { theme, presets },
+  logger.info is told about variables added by autoDerive
+*/
+async function generateThemeEntry(options, logger = console) {
+  const theme = await buildTheme(options);
+  if (theme.derivedVariables.length > 0) {
+    logger.info(
+      `Added ${
+        theme.derivedVariables.length
+      } variables derived from themeVariables: ${theme.derivedVariables.join(
+        ", "
+      )}`
+    );
+  }
+
+  const presets = await compileThemePresets(
+    theme.css,
+    options.themes,
+    options.lessOptions
+  );
+  return { theme, presets };
+}
+
+/*
+  Files to emit for a theme entry, e.g.
+  {
+    assets: [
+      { filename: "color.less", source: "...", immutable: false },
+      { filename: "theme.purple.css", source: "...", immutable: false },
+      { filename: "theme-manifest.json", source: "{...}", immutable: false }
+    ],
+    manifest: { ... }
+  }
+  hashOptions are { createHash, hashFunction, hashDigest, hashDigestLength } used for [contenthash]
+*/
+function getThemeAssets(
+  options,
+  { theme, presets },
+  { publicPath = "", hashOptions = defaultHashOptions } = {}
+) {
+  const { themeFilename, manifestFilename } = options;
+  const defaultFilename = getDefaultFilename(options);
+  const filenameTemplate = options.filename || defaultFilename;
+  const filename = interpolateFilename(
+    filenameTemplate,
+    defaultFilename,
+    theme.css,
+    hashOptions
+  );
+  const assets = [
+    {
+      filename,
+      source: theme.css,
+      immutable: usesContentHash(filenameTemplate)
+    }
+  ];
+
+  const presetFiles = presets.map(({ name, source }) => {
+    const presetFilename = interpolateFilename(
+      themeFilename,
+      `${name}.css`,
+      source,
+      hashOptions
+    );
+    assets.push({
+      filename: presetFilename,
+      source,
+      immutable: usesContentHash(themeFilename)
+    });
+    return { name, filename: presetFilename };
+  });
+
+  const manifest = createManifest(options, {
+    filename,
+    publicPath,
+    variables: theme.variables,
+    presets: presetFiles
+  });
+  assets.push({
+    filename: manifestFilename,
+    source: JSON.stringify(manifest, null, 2),
+    immutable: false
+  });
+  return { assets, manifest };
+}
+
+/*
+  Tags which load color.less and compile it in the browser, in this order:
+    <link rel="stylesheet/less" type="text/css" href="{href}" />
+    <script>window.less = { javascriptEnabled: true };</script>
+    <script src="{lessUrl}"></script>
+  In css-variables mode only a plain stylesheet link to color.css is needed.
+  Tags are { tagName, attributes, innerHTML } like html-webpack-plugin's.
+*/
+function getHtmlTags(options, href) {
+  const { injectStylesheet, lessConfig, lessUrl } = options;
+  const tags = [];
+  if (options.outputMode === "css-variables") {
+    return injectStylesheet
+      ? [{ tagName: "link", attributes: { rel: "stylesheet", href } }]
+      : tags;
+  }
+
+  if (injectStylesheet) {
+    tags.push({
+      tagName: "link",
+      attributes: { rel: "stylesheet/less", type: "text/css", href }
+    });
+  }
+
+  if (lessConfig) {
+    tags.push({
+      tagName: "script",
+      attributes: {},
+      innerHTML: `window.less = ${JSON.stringify(lessConfig)};`
+    });
+  }
+
+  if (lessUrl) {
+    tags.push({
+      tagName: "script",
+      attributes: { src: lessUrl }
+    });
+  }
+
+  return tags;
+}
+
+// Tags each html page got from every instance of the plugins
+const pageTags = new WeakMap();
+
+/*
+  Tags of getHtmlTags which no other instance injected into the page yet, e.g. one with baseTheme "dark"
+  or another scope. less.js and an equal window.less load once, links of other files are all added.
+*/
+function getPageTags(page, tags) {
+  const injected = pageTags.get(page) || [];
+  const isInjected = tag =>
+    injected.some(
+      other =>
+        other.tagName === tag.tagName &&
+        other.attributes.href === tag.attributes.href &&
+        other.attributes.src === tag.attributes.src &&
+        other.innerHTML === tag.innerHTML
+    );
+  const added = tags.filter(tag => !isInjected(tag));
+  pageTags.set(page, injected.concat(added));
+  return added;
+}
+
+/*
+  antd components used by the given modules, e.g.
+  [".../antd/es/button/index.js", ".../antd/lib/date-picker/style/index.js"] -> ["button", "date-picker"]
+  Locales of components are left out, ConfigProvider imports all of them.
+*/
+function getAntdComponents(files) {
+  const components = new Set();
+  files.forEach(file => {
+    const match = /[\\/]antd[\\/](?:lib|es)[\\/]([\w-]+)[\\/](?!locale[\\/])/.exec(
+      file
+    );
+    if (match && !["_util", "locale", "style"].includes(match[1])) {
+      components.add(match[1]);
+    }
+  });
+  return Array.from(components).sort();
+}
+
+/*
+  Whether a changed, added or removed file can change the theme
+*/
+function isThemeFile(theme, file) {
+  return (
+    theme.fileDependencies.includes(file) ||
+    theme.contextDependencies.some(
+      dir => file === dir || file.startsWith(dir + path.sep)
+    )
+  );
+}
+
+module.exports = {
+  defaultHashOptions,
+  generateThemeEntry,
+  getThemeAssets,
+  getHtmlTags,
+  getPageTags,
+  getAntdComponents,
+  isThemeFile
+};
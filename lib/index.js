@@ -1,78 +1,419 @@
 /* eslint-disable capitalized-comments */
-const { generateTheme } = require("./antd-theme-generator");
-const webpack = require("webpack");
-const { RawSource } = webpack.sources || require("webpack-sources");
-// const path = require("path");
+const {
+  getThemeCacheKey,
+  hashFiles,
+  ThemeError,
+  formatDiagnostic
+} = require("./antd-theme-generator");
+const { normalizeOptions, getDefaultFilename } = require("./options");
+const {
+  generateThemeEntry,
+  getThemeAssets,
+  getHtmlTags,
+  getPageTags,
+  getAntdComponents,
+  isThemeFile
+} = require("./core");
 const { createHash } = require("crypto");
+const pluginName = "AntDesignThemePlugin";
 class AntDesignThemePlugin {
   constructor(options) {
-    const defaultOptions = {
-      // varFile: path.join(__dirname, "../../src/styles/variables.less"),
-      // antDir: path.join(__dirname, "../../node_modules/antd"),
-      // stylesDir: path.join(__dirname, "../../src/styles/antd"),
-      themeVariables: ["@primary-color"],
-      generateOnce: false,
-      // lessUrl:
-      //   "https://cdnjs.cloudflare.com/ajax/libs/less.js/2.7.2/less.min.js",
-      publicPath: ""
-    };
-    this.options = Object.assign(defaultOptions, options);
+    try {
+      this.options = normalizeOptions(options);
+    } catch (error) {
+      error.message = `${pluginName}: ${error.message}`;
+      throw error;
+    }
+
     this.generated = false;
-    this.version = webpack.version;
+    this.webpack = null;
+    this.resolve = undefined;
+  }
+
+  /*
+    webpack (or rspack) as passed by the compiler, so the plugin works without the webpack
+    package installed, falls back to requiring it for webpack 4
+  */
+  getWebpack(compiler) {
+    if (!this.webpack) {
+      this.webpack = (compiler && compiler.webpack) || require("webpack");
+    }
+
+    return this.webpack;
   }
 
   apply(compiler) {
-    const pluginName = "AntDesignThemePlugin";
+    const webpack = this.getWebpack(compiler);
+    // Same default as css-loader, class name hashes depend on paths relative to it
+    if (!this.options.localIdentContext) {
+      this.options.localIdentContext = compiler.context;
+    }
+
+    // Less imports follow the build's resolve config, e.g. aliases, pnpm and Yarn PnP
+    if (compiler.resolverFactory) {
+      this.resolve = createLessResolve(compiler);
+    }
+
+    // Compile with the same less options as the app's own less files
+    if (this.options.lessOptions === undefined) {
+      this.options.lessOptions = findLessOptions(
+        (compiler.options.module || {}).rules
+      );
+    }
+
+    // A later stage than html-webpack-plugin 3, which adds its hooks to the compilation,
+    // so the tags are injected whatever the order of the plugins
+    compiler.hooks.compilation.tap(
+      { name: pluginName, stage: 100 },
+      compilation => this.injectHtmlTags(compiler, compilation, pluginName)
+    );
 
-    if (this.version.startsWith("5.")) {
+    if (
+      webpack.Compilation &&
+      webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+    ) {
       compiler.hooks.thisCompilation.tap(pluginName, compilation => {
         compilation.hooks.processAssets.tapAsync(
           {
             name: pluginName,
-            stage: webpack.Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE
+            // Early enough for html-webpack-plugin to know the hashed filenames
+            stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
           },
           (assets, callback) => this.addAssets(compilation, assets, callback)
         );
       });
     } else {
-      compiler.hooks.emit.tapAsync(pluginName, (compilation, callback) =>
-        this.addAssets(compilation, compilation.assets, callback)
+      compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+        compilation.hooks.additionalAssets.tapAsync(pluginName, callback =>
+          this.addAssets(compilation, compilation.assets, callback)
+        );
+      });
+    }
+  }
+
+  injectHtmlTags(compiler, compilation, pluginName) {
+    const HtmlWebpackPlugin = findHtmlWebpackPlugin(compiler);
+    if (HtmlWebpackPlugin && HtmlWebpackPlugin.getHooks) {
+      // html-webpack-plugin >= 4
+      HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tapAsync(
+        pluginName,
+        (data, callback) => {
+          const tags = getPageTags(data, this.getHtmlTags(compilation)).map(
+            tag =>
+              Object.assign({ voidTag: tag.tagName === "link" }, tag, {
+                meta: { plugin: pluginName }
+              })
+          );
+          data.headTags = data.headTags.concat(tags);
+          callback(null, data);
+        }
       );
+      return;
+    }
+
+    if (compilation.hooks.htmlWebpackPluginAlterAssetTags) {
+      // html-webpack-plugin 3
+      compilation.hooks.htmlWebpackPluginAlterAssetTags.tapAsync(
+        pluginName,
+        (data, callback) => {
+          const tags = getPageTags(
+            data,
+            this.getHtmlTags(compilation)
+          ).map(tag => Object.assign({ selfClosingTag: false }, tag));
+          data.head = data.head.concat(tags);
+          callback(null, data);
+        }
+      );
+      return;
     }
+
+    const usesHtmlWebpackPlugin = (compiler.options.plugins || []).some(
+      plugin => plugin && plugin.constructor === HtmlWebpackPlugin
+    );
+    if (HtmlWebpackPlugin && usesHtmlWebpackPlugin) {
+      const WebpackError =
+        this.getWebpack(compiler).WebpackError ||
+        require("webpack/lib/WebpackError");
+      compilation.warnings.push(
+        new WebpackError(
+          `${pluginName}: html-webpack-plugin has no hooks for this compilation, add the theme's tags to the page yourself`
+        )
+      );
+    }
+  }
+
+  /*
+    Tags which load color.less, see getHtmlTags in core.js
+  */
+  getHtmlTags(compilation) {
+    const href = this.manifest
+      ? this.manifest.url
+      : `${this.getPublicPath(compilation)}${this.getFilename()}`;
+    return getHtmlTags(this.options, href);
+  }
+
+  getPublicPath(compilation) {
+    if (this.options.publicPath) {
+      return this.options.publicPath;
+    }
+
+    const { publicPath } = compilation.outputOptions || {};
+    if (typeof publicPath !== "string" || publicPath === "auto") {
+      return "";
+    }
+
+    return publicPath;
+  }
+
+  /*
+    Options the theme is built with, the components option "auto" becomes the antd components
+    of the compilation's chunks, all of them when none are found
+  */
+  getThemeOptions(compilation) {
+    if (this.options.components !== "auto") {
+      return this.options;
+    }
+
+    const resources = [];
+    const addModule = module => {
+      if (module.modules) {
+        // Concatenated modules
+        module.modules.forEach(addModule);
+      } else if (module.resource) {
+        resources.push(module.resource);
+      }
+    };
+
+    compilation.chunks.forEach(chunk => {
+      const modules = compilation.chunkGraph
+        ? compilation.chunkGraph.getChunkModulesIterable(chunk)
+        : chunk.modulesIterable;
+      Array.from(modules).forEach(addModule);
+    });
+    const components = getAntdComponents(resources);
+    return Object.assign({}, this.options, {
+      components: components.length > 0 ? components : undefined
+    });
   }
 
   addAssets(compilation, assets, callback) {
-    if (this.options.generateOnce && this.colors) {
-      this.generateColorStylesheet(compilation, this.colors);
+    const options = this.getThemeOptions(compilation);
+    const sameComponents =
+      this.themeOptions &&
+      String(this.themeOptions.components) === String(options.components);
+    if (
+      this.theme &&
+      (this.options.generateOnce ||
+        (sameComponents && !this.isStale(compilation)))
+    ) {
+      this.addDependencies(compilation, this.theme);
+      this.reportDiagnostics(compilation, this.theme.diagnostics, "warnings");
+      this.generateColorStylesheet(compilation, this.theme, this.presets);
       return callback();
     }
 
-    generateTheme(this.options)
-      .then(css => {
-        if (this.options.generateOnce) {
-          this.colors = css;
-        }
+    const startTime = Date.now();
+    this.loadTheme(compilation, options)
+      .then(({ theme, presets }) => {
+        this.theme = theme;
+        this.themeOptions = options;
+        this.presets = presets;
+        this.builtAt = startTime;
 
-        this.generateColorStylesheet(compilation, css);
+        this.addDependencies(compilation, theme);
+        this.reportDiagnostics(compilation, theme.diagnostics, "warnings");
+        this.generateColorStylesheet(compilation, theme, presets);
         callback();
       })
       .catch(err => {
-        callback(err);
+        if (!(err instanceof ThemeError)) {
+          return callback(err);
+        }
+
+        // Nothing is emitted, an empty or partial color.less would silently break the theme
+        this.theme = null;
+        this.reportDiagnostics(compilation, err.diagnostics, "errors");
+        callback();
       });
   }
 
-  generateColorStylesheet(compilation, source) {
-    if (this.version.startsWith("5.")) {
-      compilation.emitAsset("color.less", new RawSource(source), {
-        size: source.length
-      });
+  /*
+    Resolves to the theme and its presets, from the cache when none of their inputs changed.
+    Webpack 5 keeps them in compilation.getCache() so they survive restarts with cache.type "filesystem".
+  */
+  async loadTheme(compilation, options = this.options) {
+    const key = await getThemeCacheKey(options);
+    const cache = compilation.getCache
+      ? compilation.getCache(pluginName)
+      : null;
+    let entry =
+      this.cacheEntry && this.cacheEntry.key === key
+        ? this.cacheEntry.value
+        : null;
+    if (!entry && cache) {
+      // Stored as Buffer, webpack deserializes big strings slowly
+      const buf = await cache.getPromise(key, null);
+      entry = buf ? JSON.parse(buf.toString()) : null;
+    }
+
+    if (
+      entry &&
+      entry.dependenciesHash === (await hashFiles(entry.theme.fileDependencies))
+    ) {
+      this.cacheEntry = { key, value: entry };
+      return entry;
+    }
+
+    const logger = compilation.getLogger
+      ? compilation.getLogger(pluginName)
+      : console;
+    const { theme, presets } = await generateThemeEntry(
+      Object.assign({}, options, { resolve: this.resolve }),
+      logger
+    );
+    entry = {
+      theme,
+      presets,
+      dependenciesHash: await hashFiles(theme.fileDependencies)
+    };
+    this.cacheEntry = { key, value: entry };
+    if (cache) {
+      await cache.storePromise(key, null, Buffer.from(JSON.stringify(entry)));
+    }
+
+    return entry;
+  }
+
+  /*
+    Adds less failures to compilation.errors or compilation.warnings,
+    with the `strict` option generateTheme fails on any of them
+  */
+  reportDiagnostics(compilation, diagnostics, type) {
+    diagnostics.forEach(diagnostic => {
+      // Webpack prints file and loc itself
+      const WebpackError =
+        this.getWebpack(compilation.compiler).WebpackError ||
+        require("webpack/lib/WebpackError");
+      const error = new WebpackError(
+        `${pluginName}: ${
+          diagnostic.file ? diagnostic.message : formatDiagnostic(diagnostic)
+        }`
+      );
+      error.name = `${pluginName}${type === "errors" ? "Error" : "Warning"}`;
+      if (diagnostic.file) {
+        error.file = diagnostic.file;
+      }
+
+      if (diagnostic.line) {
+        error.loc = {
+          start: { line: diagnostic.line, column: diagnostic.column || 0 }
+        };
+      }
+
+      compilation[type].push(error);
+    });
+  }
+
+  /*
+    Lets webpack watch the files which fed into the theme
+  */
+  addDependencies(compilation, theme) {
+    if (this.options.generateOnce) {
+      return;
+    }
+
+    theme.fileDependencies.forEach(file =>
+      compilation.fileDependencies.add(file)
+    );
+    theme.contextDependencies.forEach(dir =>
+      compilation.contextDependencies.add(dir)
+    );
+  }
+
+  /*
+    The theme only needs to be generated again when one of its files changed,
+    webpack 5 reports changed files on the compiler, webpack 4 keeps timestamps on the compilation
+  */
+  isStale(compilation) {
+    const { fileDependencies, contextDependencies } = this.theme;
+    const isChangedFile = file => isThemeFile(this.theme, file);
+    const { compiler } = compilation;
+
+    if (compiler && compiler.modifiedFiles) {
+      return Array.from(compiler.modifiedFiles)
+        .concat(Array.from(compiler.removedFiles || []))
+        .some(isChangedFile);
+    }
+
+    if (compilation.fileTimestamps instanceof Map && compiler.watchMode) {
+      const isChanged = (timestamps, file) =>
+        (timestamps.get(file) || 0) > this.builtAt;
+      return (
+        fileDependencies.some(file =>
+          isChanged(compilation.fileTimestamps, file)
+        ) ||
+        contextDependencies.some(dir =>
+          isChanged(compilation.contextTimestamps, dir)
+        )
+      );
+    }
+
+    return true;
+  }
+
+  getFilename() {
+    return getDefaultFilename(this.options);
+  }
+
+  /*
+    [contenthash] follows output.hashFunction, hashDigest and hashDigestLength like webpack's own assets
+  */
+  getHashOptions(compilation) {
+    const { util } = this.getWebpack(compilation.compiler);
+    const { hashFunction = "md4", hashDigest = "hex", hashDigestLength = 20 } =
+      compilation.outputOptions || {};
+    return {
+      createHash: (util && util.createHash) || createHash,
+      hashFunction,
+      hashDigest,
+      hashDigestLength
+    };
+  }
+
+  /*
+    Emits color.less (or color.css), the precompiled theme presets and
+    theme-manifest.json which tells the runtime where to find them
+  */
+  generateColorStylesheet(compilation, theme, presets) {
+    const { assets, manifest } = getThemeAssets(
+      this.options,
+      { theme, presets },
+      {
+        publicPath: this.getPublicPath(compilation),
+        hashOptions: this.getHashOptions(compilation)
+      }
+    );
+    this.manifest = manifest;
+    assets.forEach(({ filename, source, immutable }) =>
+      this.emitAsset(compilation, filename, source, { immutable })
+    );
+  }
+
+  emitAsset(compilation, filename, source, info = {}) {
+    const { sources } = this.getWebpack(compilation.compiler);
+    if (sources) {
+      compilation.emitAsset(
+        filename,
+        new sources.RawSource(source),
+        Object.assign({ size: source.length }, info)
+      );
       return;
     }
 
     const code = createHash("sha1")
       .update(source)
       .digest("hex");
-    compilation.assets["color.less"] = {
+    compilation.assets[filename] = {
       source: () => source,
       code: () => code,
       size: () => source.length
@@ -80,4 +421,106 @@ class AntDesignThemePlugin {
   }
 }
 
+/*
+  Prefer the html-webpack-plugin instance the user registered, so hooks are tapped
+  on the same module copy, and fall back to resolving the package.
+*/
+function findHtmlWebpackPlugin(compiler) {
+  const instance = (compiler.options.plugins || []).find(
+    plugin =>
+      plugin &&
+      plugin.constructor &&
+      plugin.constructor.name === "HtmlWebpackPlugin"
+  );
+  if (instance) {
+    return instance.constructor;
+  }
+
+  try {
+    return require("html-webpack-plugin");
+  } catch (_) {
+    return null;
+  }
+}
+
+/*
+  Resolves less imports like less-loader does, with the compiler's resolve config merged with
+  resolve.byDependency.less, e.g. (context, "antd/lib/style/themes/default.less") -> ".../default.less"
+  The resolver is created on first use, webpack sets up its resolve options after applying plugins.
+*/
+function createLessResolve(compiler) {
+  let resolver = null;
+  return (context, request) =>
+    new Promise((resolve, reject) => {
+      if (!resolver) {
+        resolver = compiler.resolverFactory.get("normal", {
+          dependencyType: "less",
+          extensions: [".less", ".css"],
+          mainFields: ["less", "style", "main"],
+          mainFiles: ["index"]
+        });
+      }
+
+      resolver.resolve({}, context, request, {}, (error, file) => {
+        if (error || !file) {
+          reject(
+            error || new Error(`Can't resolve '${request}' in '${context}'`)
+          );
+        } else {
+          resolve(file);
+        }
+      });
+    });
+}
+
+/*
+  lessOptions of the first less-loader in the rules, e.g. { math: "always" } of
+  { test: /\.less$/, use: ["css-loader", { loader: "less-loader", options: { lessOptions: { math: "always" } } }] }
+  less-loader < 6 takes them as its options. Functions of the loader context can't be read here.
+*/
+function findLessOptions(rules = []) {
+  for (const rule of rules) {
+    if (!rule || typeof rule !== "object") {
+      continue;
+    }
+
+    const nested = findLessOptions(
+      [].concat(rule.oneOf || [], rule.rules || [])
+    );
+    if (nested) {
+      return nested;
+    }
+
+    const uses = [].concat(
+      rule.use || [],
+      rule.loader ? { loader: rule.loader, options: rule.options } : []
+    );
+    for (const use of uses) {
+      const loader = typeof use === "string" ? use : use && use.loader;
+      if (/(^|[\\/])less-loader([\\/?]|$)/.test(loader || "")) {
+        const options = (use && use.options) || {};
+        // Options of less-loader >= 6, which takes less options only as lessOptions
+        const isLegacy = ![
+          "lessOptions",
+          "additionalData",
+          "appendData",
+          "webpackImporter",
+          "lessLogAsWarnOrErr"
+        ].some(name => name in options);
+        if (isLegacy) {
+          const legacy = Object.assign({}, options);
+          ["sourceMap", "implementation"].forEach(name => delete legacy[name]);
+          return legacy;
+        }
+
+        return typeof options.lessOptions === "object"
+          ? options.lessOptions
+          : undefined;
+      }
+    }
+  }
+
+  return undefined;
+}
+
 module.exports = AntDesignThemePlugin;
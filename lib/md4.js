@@ -0,0 +1,93 @@
+/*
+  MD4 (RFC 1320), css-loader's default localIdentHashFunction, for Node.js >= 17 whose OpenSSL 3
+  doesn't have it without --openssl-legacy-provider. Same interface as crypto's Hash, e.g.
+  createMd4().update("app.less").digest("hex") -> "0a3b..."
+*/
+const initialState = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+const rotate = (value, bits) => (value << bits) | (value >>> (32 - bits));
+const f = (x, y, z) => (x & y) | (~x & z);
+const g = (x, y, z) => (x & y) | (x & z) | (y & z);
+const h = (x, y, z) => x ^ y ^ z;
+
+class Md4 {
+  constructor() {
+    this.state = initialState.map(word => word | 0);
+    this.block = Buffer.alloc(64);
+    this.blockLength = 0;
+    this.length = 0;
+  }
+
+  update(data, encoding) {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding);
+    this.length += bytes.length;
+    let offset = 0;
+    while (offset < bytes.length) {
+      const count = Math.min(64 - this.blockLength, bytes.length - offset);
+      bytes.copy(this.block, this.blockLength, offset, offset + count);
+      this.blockLength += count;
+      offset += count;
+      if (this.blockLength === 64) {
+        this.transform(this.block);
+        this.blockLength = 0;
+      }
+    }
+
+    return this;
+  }
+
+  digest(encoding) {
+    // A 1 bit, zeros up to 56 bytes of the last block and the length in bits
+    const bits = this.length * 8;
+    const padding = Buffer.alloc(
+      (this.blockLength < 56 ? 64 : 128) - this.blockLength
+    );
+    padding[0] = 0x80;
+    padding.writeUInt32LE(bits >>> 0, padding.length - 8);
+    padding.writeUInt32LE(Math.floor(bits / 0x100000000), padding.length - 4);
+    this.update(padding);
+
+    const result = Buffer.alloc(16);
+    this.state.forEach((word, index) => result.writeInt32LE(word, index * 4));
+    return encoding ? result.toString(encoding) : result;
+  }
+
+  transform(block) {
+    const x = [];
+    for (let index = 0; index < 16; index++) {
+      x.push(block.readInt32LE(index * 4));
+    }
+
+    let [a, b, c, d] = this.state;
+    for (const i of [0, 4, 8, 12]) {
+      a = rotate((a + f(b, c, d) + x[i]) | 0, 3);
+      d = rotate((d + f(a, b, c) + x[i + 1]) | 0, 7);
+      c = rotate((c + f(d, a, b) + x[i + 2]) | 0, 11);
+      b = rotate((b + f(c, d, a) + x[i + 3]) | 0, 19);
+    }
+
+    for (const i of [0, 1, 2, 3]) {
+      a = rotate((a + g(b, c, d) + x[i] + 0x5a827999) | 0, 3);
+      d = rotate((d + g(a, b, c) + x[i + 4] + 0x5a827999) | 0, 5);
+      c = rotate((c + g(d, a, b) + x[i + 8] + 0x5a827999) | 0, 9);
+      b = rotate((b + g(c, d, a) + x[i + 12] + 0x5a827999) | 0, 13);
+    }
+
+    for (const i of [0, 2, 1, 3]) {
+      a = rotate((a + h(b, c, d) + x[i] + 0x6ed9eba1) | 0, 3);
+      d = rotate((d + h(a, b, c) + x[i + 8] + 0x6ed9eba1) | 0, 9);
+      c = rotate((c + h(d, a, b) + x[i + 4] + 0x6ed9eba1) | 0, 11);
+      b = rotate((b + h(c, d, a) + x[i + 12] + 0x6ed9eba1) | 0, 15);
+    }
+
+    this.state = [a, b, c, d].map(
+      (word, index) => (this.state[index] + word) | 0
+    );
+  }
+}
+
+function createMd4() {
+  return new Md4();
+}
+
+module.exports = { createMd4 };
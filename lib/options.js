@@ -0,0 +1,239 @@
+/* eslint-disable capitalized-comments */
+const path = require("path");
+const { compileThemePreset } = require("./antd-theme-generator");
+
+/*
+  Options of AntDesignThemePlugin, the antd-theme CLI reads the same ones from its config file
+*/
+function getDefaultOptions() {
+  return {
+    // varFile: path.join(__dirname, "../../src/styles/variables.less"),
+    // antDir: path.join(__dirname, "../../node_modules/antd"),
+    // stylesDir: path.join(__dirname, "../../src/styles/antd"),
+    themeVariables: ["@primary-color"],
+    // "less" emits color.less for less.js, "css-variables" emits color.css using var(--*)
+    outputMode: "less",
+    // Webpack style templates, [name], [ext] and [contenthash:8] are supported
+    // filename defaults to color.less, or color.css in css-variables mode
+    filename: null,
+    // themes: { dark: { "@primary-color": "#177ddc" } },
+    themes: {},
+    // theme.[name].css and theme-manifest.json, e.g. theme.dark.[name].css for the dark base theme
+    themeFilename: null,
+    manifestFilename: null,
+    generateOnce: false,
+    // antd theme the colors start from, "default", "dark" or "compact"
+    baseTheme: "default",
+    // Also theme every color variable computed from themeVariables, e.g. @link-color from @primary-color
+    autoDerive: false,
+    // Only theme these antd components, e.g. ["Button", "DatePicker"], or "auto" for those the bundle imports
+    // components: "auto",
+    // Drop declarations which don't change with the theme, e.g. color: #fff
+    minimal: false,
+    // Prefix of every selector, e.g. ".tenant-a", so differently themed apps can share a page
+    scope: null,
+    // Class name prefixes, e.g. ["ant", "acme"] for apps which mix antd versions, @ant-prefix of varFile by default
+    // prefixCls: "ant",
+    // iconPrefixCls: "anticon",
+    // Options of every less compile, e.g. { math: "always", modifyVars, globalVars, plugins }
+    // those of the webpack less-loader rule or Vite's css.preprocessorOptions.less by default
+    // lessOptions: {},
+    // localIdentName, localIdentContext, localIdentHashSalt, localIdentHashFunction, localIdentHashDigest,
+    // localIdentHashDigestLength and getLocalIdent work like css-loader's modules options
+    // Fail the build when any style file fails to compile instead of leaving it out with a warning
+    strict: false,
+    // Tags injected into html-webpack-plugin pages, set any of them to false to opt out
+    injectStylesheet: true,
+    lessConfig: { javascriptEnabled: true },
+    lessUrl: "https://cdnjs.cloudflare.com/ajax/libs/less.js/2.7.2/less.min.js",
+    // Falls back to webpack output.publicPath
+    publicPath: ""
+  };
+}
+
+/*
+  Merges options with the defaults, throws when they don't work together
+*/
+function normalizeOptions(options) {
+  const normalized = Object.assign(getDefaultOptions(), options);
+  if (
+    normalized.outputMode === "css-variables" &&
+    Object.keys(normalized.themes).length > 0
+  ) {
+    throw new Error(
+      '"themes" presets need outputMode "less", with "css-variables" set the custom properties at runtime instead'
+    );
+  }
+
+  const { components } = normalized;
+  if (
+    components !== undefined &&
+    components !== "auto" &&
+    !Array.isArray(components)
+  ) {
+    throw new Error(
+      '"components" must be a list of antd components, e.g. ["Button", "DatePicker"], or "auto"'
+    );
+  }
+
+  if (
+    normalized.scope !== undefined &&
+    normalized.scope !== null &&
+    (typeof normalized.scope !== "string" || !normalized.scope.trim())
+  ) {
+    throw new Error('"scope" must be a selector, e.g. ".tenant-a"');
+  }
+
+  const { lessOptions } = normalized;
+  if (
+    lessOptions !== undefined &&
+    (!lessOptions ||
+      typeof lessOptions !== "object" ||
+      Array.isArray(lessOptions))
+  ) {
+    throw new Error(
+      '"lessOptions" must be options of less.render, e.g. { math: "always" }'
+    );
+  }
+
+  ["prefixCls", "iconPrefixCls"].forEach(name => {
+    const prefixes = normalized[name];
+    if (
+      prefixes !== undefined &&
+      prefixes !== null &&
+      ([].concat(prefixes).length === 0 ||
+        []
+          .concat(prefixes)
+          .some(
+            prefix => typeof prefix !== "string" || !/^[\w-]+$/.test(prefix)
+          ))
+    ) {
+      throw new Error(
+        `"${name}" must be a class name prefix or a list of them, e.g. "ant" or ["ant", "acme"]`
+      );
+    }
+  });
+
+  // Plugins of different base themes emit different files, e.g. theme-manifest.dark.json
+  const suffix = getBaseThemeSuffix(normalized);
+  if (!normalized.themeFilename) {
+    normalized.themeFilename = `theme${suffix}.[name].css`;
+  }
+
+  if (!normalized.manifestFilename) {
+    normalized.manifestFilename = `theme-manifest${suffix}.json`;
+  }
+
+  return normalized;
+}
+
+function getBaseThemeSuffix(options) {
+  return options.baseTheme && options.baseTheme !== "default"
+    ? `.${options.baseTheme}`
+    : "";
+}
+
+/*
+  color.less, or color.css in css-variables mode, e.g. color.dark.less for the dark base theme
+*/
+function getDefaultFilename(options) {
+  const name = `color${getBaseThemeSuffix(options)}`;
+  return options.outputMode === "css-variables"
+    ? `${name}.css`
+    : `${name}.less`;
+}
+
+/*
+  Replaces [name], [ext] and [contenthash] or [contenthash:8] in filename templates, e.g.
+  interpolateFilename("[name].[contenthash:8].less", "color.less", source, hashOptions) -> color.1a2b3c4d.less
+  hashOptions are { createHash, hashFunction, hashDigest, hashDigestLength }
+*/
+function interpolateFilename(template, filename, source, hashOptions) {
+  const ext = path.extname(filename);
+  const {
+    createHash,
+    hashFunction,
+    hashDigest,
+    hashDigestLength
+  } = hashOptions;
+  let contentHash = "";
+  if (usesContentHash(template)) {
+    const hash = createHash(hashFunction);
+    hash.update(source);
+    contentHash = hash.digest(hashDigest);
+  }
+
+  return template
+    .replace(/\[name\]/g, path.basename(filename, ext))
+    .replace(/\[ext\]/g, ext)
+    .replace(/\[contenthash(?::(\d+))?\]/g, (match, length) =>
+      contentHash.slice(0, length ? Number(length) : hashDigestLength)
+    );
+}
+
+function usesContentHash(template) {
+  return /\[contenthash(:\d+)?\]/.test(template);
+}
+
+/*
+  Compiles the presets of the themes option with lessOptions, resolves to [{ name, source }]
+*/
+function compileThemePresets(css, themes, lessOptions) {
+  const names = Object.keys(themes || {});
+  return Promise.all(
+    names.map(name => compileThemePreset(css, themes[name], lessOptions))
+  ).then(sources =>
+    names.map((name, index) => ({ name, source: sources[index] }))
+  );
+}
+
+/*
+  Content of theme-manifest.json, which tells the runtime where to find the theme, e.g.
+  {
+    "outputMode": "less",
+    "filename": "color.1a2b3c4d.less",
+    "url": "/color.1a2b3c4d.less",
+    "variables": { "@primary-color": "#1890ff" },
+    "themes": { "purple": { "filename": "theme.purple.css", "url": "/theme.purple.css", "variables": { "@primary-color": "#722ed1" } } },
+    "less": { "url": "https://.../less.min.js", "config": { "javascriptEnabled": true } }
+  }
+  with "scope": ".tenant-a" when the theme is scoped, presets are [{ name, filename }]
+*/
+function createManifest(options, { filename, publicPath, variables, presets }) {
+  const { outputMode, lessUrl, lessConfig } = options;
+  const themes = {};
+  presets.forEach(preset => {
+    themes[preset.name] = {
+      filename: preset.filename,
+      url: `${publicPath}${preset.filename}`,
+      variables: options.themes[preset.name]
+    };
+  });
+
+  const manifest = {
+    outputMode,
+    filename,
+    url: `${publicPath}${filename}`,
+    variables,
+    themes
+  };
+  if (outputMode !== "css-variables") {
+    manifest.less = { url: lessUrl || null, config: lessConfig || {} };
+  }
+
+  if (options.scope) {
+    manifest.scope = options.scope;
+  }
+
+  return manifest;
+}
+
+module.exports = {
+  getDefaultOptions,
+  normalizeOptions,
+  getDefaultFilename,
+  interpolateFilename,
+  usesContentHash,
+  compileThemePresets,
+  createManifest
+};
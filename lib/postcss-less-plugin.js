@@ -1,24 +1,209 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const postcss = require("postcss");
 const syntax = require("postcss-less");
 const { promisify } = require("util");
+const { createMd4 } = require("./md4");
 const readFile = promisify(fs.readFile);
 
+/*
+  Webpack's createHash supports the same hash functions as css-loader (md4 and xxhash64
+  on any node version), crypto is enough when webpack is not around
+*/
+let createPlatformHash;
+try {
+  createPlatformHash = require("webpack").util.createHash;
+} catch (_) {
+  createPlatformHash = crypto.createHash;
+}
+
+let supportsMd4;
+
+/*
+  Md4 falls back to our own when neither crypto nor webpack < 5.54, which uses crypto,
+  have it, e.g. on Node.js >= 17
+*/
+function createHash(hashFunction) {
+  if (hashFunction === "md4") {
+    if (supportsMd4 === undefined) {
+      try {
+        createPlatformHash("md4")
+          .update("")
+          .digest("hex");
+        supportsMd4 = true;
+      } catch (_) {
+        supportsMd4 = false;
+      }
+    }
+
+    if (!supportsMd4) {
+      return createMd4();
+    }
+  }
+
+  return createPlatformHash(hashFunction);
+}
+
+const filenameReservedRegex = /[<>:"/\\|?*]/g;
+// eslint-disable-next-line no-control-regex
+const reControlChars = /[\u0000-\u001f\u0080-\u009f]/g;
+const hashRegex = /\[(?:([^:\]]+):)?(?:hash|contenthash|fullhash)(?::([a-z]+\d*))?(?::(\d+))?\]/i;
+
+function normalizePath(file) {
+  return path.sep === "\\" ? file.replace(/\\/g, "/") : file;
+}
+
+/*
+  Escapes a class name the way css-loader does, e.g. src/app.less__a -> src-app-less__a
+*/
+function escapeLocalIdent(localIdent) {
+  return localIdent
+    .replace(/^((-?[0-9])|--)/, "_$1")
+    .replace(filenameReservedRegex, "-")
+    .replace(reControlChars, "-")
+    .replace(/\./g, "-")
+    .replace(/[^\w-\u0080-\uffff]/g, char => `\\${char}`)
+    .replace(/^-(?=[-\d])/, "\\-");
+}
+
+/*
+  Same placeholders and hashing as css-loader's defaultGetLocalIdent, so
+  "[folder]__[local]--[hash:base64:5]" gives exactly the class names css-loader generates:
+    [path], [name], [ext], [file], [folder], [local], [hash], [contenthash] and [<function>:hash:<digest>:<length>]
+*/
+function defaultGetLocalIdent(
+  resourcePath,
+  localIdentName,
+  localName,
+  options
+) {
+  const { context, hashSalt } = options;
+  const relativePath = normalizePath(path.relative(context, resourcePath));
+  const content = `${relativePath}\u0000${localName}`;
+  let { hashFunction, hashDigest, hashDigestLength } = options;
+  let name = localIdentName;
+
+  const matches = name.match(hashRegex);
+  if (matches) {
+    hashFunction = matches[1] || hashFunction;
+    hashDigest = matches[2] || hashDigest;
+    hashDigestLength = Number(matches[3] || hashDigestLength);
+    name = name.replace(new RegExp(hashRegex.source, "gi"), "[contenthash]");
+
+    // Hashes are digested in tiers until long enough once leading digits and symbols are removed
+    let localIdentHash = "";
+    for (let tier = 0; localIdentHash.length < hashDigestLength; tier++) {
+      const hash = createHash(hashFunction);
+      if (hashSalt) {
+        hash.update(hashSalt);
+      }
+
+      const tierSalt = Buffer.allocUnsafe(4);
+      tierSalt.writeUInt32LE(tier);
+      hash.update(tierSalt);
+      hash.update(Buffer.from(content, "utf8"));
+      localIdentHash = (localIdentHash + hash.digest(hashDigest))
+        .replace(/^\d+/, "")
+        .replace(/\//g, "_")
+        .replace(/[^A-Za-z0-9_]+/g, "")
+        .slice(0, hashDigestLength);
+    }
+
+    name = name.replace(/\[contenthash\]/g, () => localIdentHash);
+  }
+
+  const ext = path.extname(resourcePath);
+  const dir = path.dirname(relativePath);
+  const directory = normalizePath(
+    path.relative(context, `${path.dirname(resourcePath)}${path.sep}_`)
+  ).slice(0, -1);
+  const replacements = {
+    "[file]": relativePath,
+    "[path]": dir === "." ? "" : `${dir}/`,
+    "[name]": path.basename(resourcePath, ext),
+    "[ext]": ext,
+    "[folder]": directory.length > 1 ? path.basename(directory) : ""
+  };
+  return Object.keys(replacements).reduce(
+    (result, placeholder) =>
+      result.split(placeholder).join(replacements[placeholder]),
+    name
+  );
+}
+
+/*
+  Scoped class name of localName in resourcePath, a custom getLocalIdent is called like
+  css-loader's: getLocalIdent(context, localIdentName, localName, options) and can return
+  null or undefined to fall back to the default
+*/
+function getLocalIdent(resourcePath, localName, options) {
+  const {
+    localIdentName = "[hash:base64]",
+    localIdentContext = process.cwd(),
+    localIdentHashSalt,
+    localIdentHashFunction = "md4",
+    localIdentHashDigest = "hex",
+    localIdentHashDigestLength = 20
+  } = options;
+  const identOptions = {
+    context: localIdentContext,
+    hashSalt: localIdentHashSalt,
+    hashFunction: localIdentHashFunction,
+    hashDigest: localIdentHashDigest,
+    hashDigestLength: localIdentHashDigestLength
+  };
+
+  if (typeof options.getLocalIdent === "function") {
+    const localIdent = options.getLocalIdent(
+      { resourcePath, rootContext: localIdentContext },
+      localIdentName,
+      localName,
+      identOptions
+    );
+    if (localIdent !== undefined && localIdent !== null) {
+      return escapeLocalIdent(localIdent);
+    }
+  }
+
+  // [local] is escaped to \[local\] with the rest of the name, then replaced by the class name
+  return escapeLocalIdent(
+    defaultGetLocalIdent(resourcePath, localIdentName, localName, identOptions)
+  ).replace(/\\\[local\\\]/gi, () => localName);
+}
+
+/*
+  Replaces every class in a selector except those wrapped in :global(...), which is unwrapped like
+  css-loader does, e.g.
+  .button :global(.ant-btn) > .icon -> .src-button__button .ant-btn > .src-button__icon
+*/
+function scopeSelector(selector, scope) {
+  return selector
+    .split(/(:global\([^)]*\))/)
+    .map(part =>
+      part.startsWith(":global(")
+        ? part.slice(":global(".length, -1)
+        : part.replace(
+            /\.(-?[_a-zA-Z\u00a0-\uffff][\w-\u00a0-\uffff]*)/g,
+            (match, className) => `.${scope(className)}`
+          )
+    )
+    .join("");
+}
+
 const localIdentNamePlugin = postcss.plugin(
   "LocalIdentNamePlugin",
-  ({ localIdentName, lessPath }) => {
-    const relativePath = path.relative(process.cwd(), lessPath);
-    const _dir = path.dirname(relativePath) + path.sep;
-    const _path = _dir.replace(new RegExp(path.sep, "g"), "-");
-    const replacements = {
-      "[path]": _path,
-      "[name]": path.basename(relativePath, path.extname(relativePath))
-    };
+  ({ lessPath, options }) => {
+    const scope = className => getLocalIdent(lessPath, className, options);
 
     return lessAST => {
       const loop = nodes => {
         nodes.forEach(item => {
+          // Keyframe selectors (from, to, 50%) are not class names
+          if (item.type === "atrule" && /keyframes$/i.test(item.name)) {
+            return;
+          }
+
           if (item.nodes && item.selector !== ":global") {
             loop(item.nodes);
           }
@@ -36,20 +221,7 @@ const localIdentNamePlugin = postcss.plugin(
           }
 
           if (item.selector) {
-            if (item.selector.includes(":global(")) {
-              return;
-            }
-
-            const className = item.selector.replace(/\./g, "");
-            let _name = localIdentName;
-            replacements["[local]"] = className;
-            for (const k in replacements) {
-              if (replacements[k]) {
-                _name = _name.replace(k, replacements[k]);
-              }
-            }
-
-            item.selector = "." + _name;
+            item.selector = scopeSelector(item.selector, scope);
           }
         });
       };
@@ -59,12 +231,29 @@ const localIdentNamePlugin = postcss.plugin(
   }
 );
 
-const AddLocalIdentName = async (lessPath, localIdentName) => {
+/*
+  Reads a less file and scopes its class names like css-loader's modules option would, options:
+    - localIdentName: e.g. "[path][name]__[local]--[hash:base64:5]"
+    - localIdentContext: path names and hashes are relative to it, defaults to process.cwd()
+    - localIdentHashSalt, localIdentHashFunction, localIdentHashDigest, localIdentHashDigestLength
+    - getLocalIdent: function (context, localIdentName, localName, options)
+  Class names are kept as they are when neither localIdentName nor getLocalIdent is set.
+*/
+const AddLocalIdentName = async (lessPath, options = {}) => {
   const buf = await readFile(lessPath);
   const lessText = buf.toString();
-  return postcss([localIdentNamePlugin({ localIdentName, lessPath })])
+  if (typeof options === "string") {
+    options = { localIdentName: options };
+  }
+
+  if (!options.localIdentName && typeof options.getLocalIdent !== "function") {
+    return lessText;
+  }
+
+  return postcss([localIdentNamePlugin({ lessPath, options })])
     .process(lessText, { syntax })
     .toString();
 };
 
 module.exports = AddLocalIdentName;
+module.exports.getLocalIdent = getLocalIdent;
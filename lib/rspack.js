@@ -0,0 +1,35 @@
+/* eslint-disable capitalized-comments */
+/*
+  Rspack adapter, with the same options as AntDesignThemePlugin:
+
+  // rspack.config.js
+  const AntDesignThemeRspackPlugin = require("@ad2302/antd-theme-webpack-plugin/rspack");
+  module.exports = { plugins: [new AntDesignThemeRspackPlugin({ antDir, stylesDir })] };
+
+  Rspack passes its webpack compatible API as compiler.webpack, which the webpack plugin
+  uses for sources, errors and hashes, so only the html tags need rspack's own hooks.
+*/
+const AntDesignThemePlugin = require("./index");
+const { getPageTags } = require("./core");
+
+class AntDesignThemeRspackPlugin extends AntDesignThemePlugin {
+  injectHtmlTags(compiler, compilation, pluginName) {
+    const { HtmlRspackPlugin } = this.getWebpack(compiler);
+    if (HtmlRspackPlugin && HtmlRspackPlugin.getCompilationHooks) {
+      HtmlRspackPlugin.getCompilationHooks(
+        compilation
+      ).alterAssetTagGroups.tapPromise(pluginName, async data => {
+        const tags = getPageTags(data, this.getHtmlTags(compilation)).map(tag =>
+          Object.assign({ voidTag: tag.tagName === "link" }, tag)
+        );
+        data.headTags = data.headTags.concat(tags);
+        return data;
+      });
+    }
+
+    // html-webpack-plugin works with rspack too
+    super.injectHtmlTags(compiler, compilation, pluginName);
+  }
+}
+
+module.exports = AntDesignThemeRspackPlugin;
@@ -0,0 +1,293 @@
+/* eslint-env browser */
+/*
+  Browser runtime which switches themes using theme-manifest.json emitted by AntDesignThemePlugin
+
+  const { init, applyTheme, onThemeChange } = require("@ad2302/antd-theme-webpack-plugin/runtime");
+
+  init({ manifestUrl: "/theme-manifest.json" });
+  applyTheme({ "@primary-color": "#722ed1" }); // change variables
+  applyTheme("purple"); // or switch to a precompiled preset from the `themes` option
+
+  Calls are queued, so applyTheme can be called before init or less.js have finished loading.
+*/
+const EVENT_NAME = "antd-theme-change";
+const PRESET_ATTRIBUTE = "data-antd-theme-preset";
+const SCOPE_ATTRIBUTE = "data-antd-theme-scope";
+
+let manifest = null;
+let storageKey = "antd-theme";
+let currentTheme = { preset: null, variables: {} };
+let queue = Promise.resolve();
+let lessLoading = null;
+
+/*
+  Loads the manifest and restores the theme saved in localStorage, options:
+    - manifest: manifest object, skips fetching it
+    - manifestUrl: defaults to "theme-manifest.json"
+    - storageKey: localStorage key, false to disable persistence
+*/
+function init(options = {}) {
+  storageKey =
+    options.storageKey === undefined ? "antd-theme" : options.storageKey;
+  const loading = options.manifest
+    ? Promise.resolve(options.manifest)
+    : fetch(options.manifestUrl || "theme-manifest.json").then(res => {
+        if (!res.ok) {
+          throw new Error(`Failed to load theme manifest: ${res.status}`);
+        }
+
+        return res.json();
+      });
+
+  const task = loading.then(result => {
+    manifest = result;
+    currentTheme = {
+      preset: null,
+      variables: Object.assign({}, manifest.variables)
+    };
+    const saved = readStorage();
+    if (!saved) {
+      return getCurrentTheme();
+    }
+
+    // A preset renamed or removed since it was saved falls back to the default theme
+    if (saved.preset && !(manifest.themes || {})[saved.preset]) {
+      removeStorage();
+      return getCurrentTheme();
+    }
+
+    return saved.preset
+      ? applyPreset(saved.preset)
+      : applyVariables(
+          Object.assign({}, currentTheme.variables, saved.variables)
+        );
+  });
+  queue = task.catch(() => {});
+  return task;
+}
+
+/*
+  Applies variables, e.g. { "@primary-color": "#722ed1" } on top of the current ones,
+  or the name of a theme preset. Resolves to the new current theme.
+  In css-variables mode colors computed from a variable, e.g. @primary-5, aren't recomputed.
+*/
+function applyTheme(theme) {
+  const task = queue.then(() => {
+    if (!manifest) {
+      throw new Error("Call init() before applyTheme()");
+    }
+
+    if (typeof theme === "string") {
+      return applyPreset(theme);
+    }
+
+    return applyVariables(
+      Object.assign({}, currentTheme.variables, normalizeVariables(theme))
+    );
+  });
+  queue = task.catch(() => {});
+  return task;
+}
+
+/*
+  Returns the current theme, e.g.
+  { preset: null, variables: { "@primary-color": "#722ed1" } }
+*/
+function getCurrentTheme() {
+  return {
+    preset: currentTheme.preset,
+    variables: Object.assign({}, currentTheme.variables)
+  };
+}
+
+/*
+  Calls listener with the new theme whenever it changes, returns a function to unsubscribe.
+  The same theme is also dispatched as `antd-theme-change` event on window.
+*/
+function onThemeChange(listener) {
+  const handler = event => listener(event.detail);
+  window.addEventListener(EVENT_NAME, handler);
+  return () => window.removeEventListener(EVENT_NAME, handler);
+}
+
+function applyVariables(variables) {
+  const applied =
+    manifest.outputMode === "css-variables"
+      ? Promise.resolve().then(() => setCustomProperties(variables))
+      : ensureLess().then(less => less.modifyVars(variables));
+
+  return applied.then(() => {
+    removePresetLink();
+    return setTheme({ preset: null, variables });
+  });
+}
+
+function setCustomProperties(variables) {
+  const properties = Object.keys(variables).map(varName => ({
+    name: `--${varName.replace("@", "")}`,
+    value: variables[varName]
+  }));
+  if (!manifest.scope) {
+    properties.forEach(({ name, value }) =>
+      document.documentElement.style.setProperty(name, value)
+    );
+    return;
+  }
+
+  // Scoped themes set their defaults on the scope, a later rule for it overrides them
+  let style = document.querySelector(`style[${SCOPE_ATTRIBUTE}]`);
+  if (!style) {
+    style = document.createElement("style");
+    style.setAttribute(SCOPE_ATTRIBUTE, manifest.scope);
+    document.head.appendChild(style);
+  }
+
+  style.textContent = `${manifest.scope} {${properties
+    .map(({ name, value }) => `${name}: ${value};`)
+    .join("")}}`;
+}
+
+function applyPreset(name) {
+  const preset = (manifest.themes || {})[name];
+  if (!preset) {
+    return Promise.reject(new Error(`Unknown theme preset "${name}"`));
+  }
+
+  return new Promise((resolve, reject) => {
+    removePresetLink();
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = preset.url;
+    link.setAttribute(PRESET_ATTRIBUTE, name);
+    link.addEventListener("load", resolve);
+    link.addEventListener("error", () =>
+      reject(new Error(`Failed to load theme preset "${name}"`))
+    );
+    document.head.appendChild(link);
+  }).then(() =>
+    setTheme({
+      preset: name,
+      variables: Object.assign({}, manifest.variables, preset.variables)
+    })
+  );
+}
+
+function removePresetLink() {
+  const link = document.querySelector(`link[${PRESET_ATTRIBUTE}]`);
+  if (link) {
+    link.parentNode.removeChild(link);
+  }
+}
+
+/*
+  Resolves to window.less once it has compiled color.less, loading the stylesheet
+  and less.js first when the page does not include them
+*/
+function ensureLess() {
+  if (window.less && window.less.modifyVars) {
+    return lessReady(window.less);
+  }
+
+  if (!lessLoading) {
+    lessLoading = new Promise((resolve, reject) => {
+      const lessOptions = manifest.less || {};
+      if (!document.querySelector('link[rel="stylesheet/less"]')) {
+        const link = document.createElement("link");
+        link.rel = "stylesheet/less";
+        link.type = "text/css";
+        link.href = manifest.url;
+        document.head.appendChild(link);
+      }
+
+      let script = lessOptions.url
+        ? document.querySelector(`script[src="${lessOptions.url}"]`)
+        : null;
+      if (!script) {
+        if (!lessOptions.url) {
+          reject(new Error("less.js is not loaded and no less url is known"));
+          return;
+        }
+
+        window.less = Object.assign({}, lessOptions.config, window.less);
+        script = document.createElement("script");
+        script.src = lessOptions.url;
+        document.head.appendChild(script);
+      }
+
+      script.addEventListener("load", () => resolve(window.less));
+      script.addEventListener("error", () => {
+        // The next call adds it again, a failed script doesn't load twice
+        if (script.parentNode) {
+          script.parentNode.removeChild(script);
+        }
+
+        reject(new Error(`Failed to load less.js from ${lessOptions.url}`));
+      });
+    }).then(lessReady);
+    lessLoading.catch(() => {
+      lessLoading = null;
+    });
+  }
+
+  return lessLoading;
+}
+
+function lessReady(less) {
+  return Promise.resolve(less.pageLoadFinished).then(() => less);
+}
+
+function setTheme(theme) {
+  currentTheme = theme;
+  writeStorage(theme);
+  const detail = getCurrentTheme();
+  window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail }));
+  return detail;
+}
+
+function normalizeVariables(variables) {
+  const result = {};
+  Object.keys(variables || {}).forEach(varName => {
+    const name = varName.startsWith("@") ? varName : `@${varName}`;
+    result[name] = variables[varName];
+  });
+  return result;
+}
+
+function readStorage() {
+  if (!storageKey) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(window.localStorage.getItem(storageKey));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeStorage(theme) {
+  if (!storageKey) {
+    return;
+  }
+
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(theme));
+  } catch (_) {
+    // Storage can be full or disabled, the theme still applies for this page
+  }
+}
+
+function removeStorage() {
+  try {
+    window.localStorage.removeItem(storageKey);
+  } catch (_) {
+    // Disabled storage has nothing to remove
+  }
+}
+
+module.exports = {
+  init,
+  applyTheme,
+  getCurrentTheme,
+  onThemeChange
+};
@@ -0,0 +1,257 @@
+/* eslint-disable capitalized-comments */
+/*
+  Vite and Rollup adapter, with the same options as AntDesignThemePlugin:
+
+  // vite.config.js
+  const antdTheme = require("@ad2302/antd-theme-webpack-plugin/vite");
+  module.exports = { plugins: [antdTheme({ antDir, stylesDir, themeVariables: ["@primary-color"] })] };
+
+  The theme is emitted with the bundle on build, the dev server serves it from memory
+  and reloads the page when one of its files changes.
+*/
+const path = require("path");
+const { ThemeError, formatDiagnostic } = require("./antd-theme-generator");
+const { normalizeOptions, getDefaultFilename } = require("./options");
+const {
+  generateThemeEntry,
+  getThemeAssets,
+  getHtmlTags,
+  getAntdComponents,
+  isThemeFile
+} = require("./core");
+
+const pluginName = "antd-theme";
+const contentTypes = {
+  ".less": "text/css",
+  ".css": "text/css",
+  ".json": "application/json"
+};
+
+function antdThemePlugin(options) {
+  let themeOptions;
+  try {
+    themeOptions = normalizeOptions(options);
+  } catch (error) {
+    error.message = `${pluginName}: ${error.message}`;
+    throw error;
+  }
+
+  let base = "";
+  let logger = console;
+  let serving = false;
+  let building = null;
+  let entry = null;
+  // With "auto" they are known once rollup has loaded all modules, the dev server themes all of them
+  const autoComponents = themeOptions.components === "auto";
+  let components = autoComponents ? undefined : themeOptions.components;
+
+  const formatError = error =>
+    error instanceof ThemeError
+      ? error.diagnostics.map(formatDiagnostic).join("\n")
+      : error.message;
+
+  // Built once and kept until one of its files changes, the dev server keeps failures too
+  const build = () => {
+    if (!building) {
+      building = generateThemeEntry(
+        Object.assign({}, themeOptions, { components }),
+        logger
+      ).then(
+        built => {
+          entry = built;
+          return built;
+        },
+        error => {
+          if (serving) {
+            logger.error(`${pluginName}: ${formatError(error)}`);
+          } else {
+            building = null;
+          }
+
+          throw error;
+        }
+      );
+    }
+
+    return building;
+  };
+
+  const invalidate = () => {
+    building = null;
+    entry = null;
+  };
+
+  const getAssets = built =>
+    getThemeAssets(themeOptions, built, {
+      publicPath: themeOptions.publicPath || base
+    });
+
+  // Builds the theme with rollup's plugin context, which reports its diagnostics
+  async function buildWithContext() {
+    let built;
+    try {
+      built = await build();
+    } catch (error) {
+      this.error(`${pluginName}: ${formatError(error)}`);
+    }
+
+    built.theme.diagnostics.forEach(diagnostic =>
+      this.warn(`${pluginName}: ${formatDiagnostic(diagnostic)}`)
+    );
+    return built;
+  }
+
+  return {
+    name: pluginName,
+
+    configResolved(config) {
+      // Vite's "./" base makes urls relative to the page, like webpack's publicPath "auto"
+      base = config.base === "./" ? "" : config.base;
+      logger = config.logger;
+      serving = config.command === "serve";
+      // Class name hashes depend on paths relative to it, like css-loader's default
+      if (!themeOptions.localIdentContext) {
+        themeOptions.localIdentContext = config.root;
+      }
+
+      // Compile with the same less options as the app's own less files
+      const preprocessorOptions = (config.css || {}).preprocessorOptions || {};
+      if (themeOptions.lessOptions === undefined && preprocessorOptions.less) {
+        themeOptions.lessOptions = Object.assign({}, preprocessorOptions.less);
+        // Vite's own option, not one of less
+        delete themeOptions.lessOptions.additionalData;
+      }
+    },
+
+    async buildStart() {
+      // The dev server builds on the first request, a broken theme shouldn't keep it from starting
+      if (serving || autoComponents) {
+        return;
+      }
+
+      const built = await buildWithContext.call(this);
+      built.theme.fileDependencies.forEach(file => this.addWatchFile(file));
+    },
+
+    async buildEnd(error) {
+      if (serving || !autoComponents || error) {
+        return;
+      }
+
+      const used = getAntdComponents(Array.from(this.getModuleIds()));
+      const next = used.length > 0 ? used : undefined;
+      if (String(next) !== String(components)) {
+        components = next;
+        invalidate();
+      }
+
+      await buildWithContext.call(this);
+    },
+
+    watchChange(id) {
+      if (entry && isThemeFile(entry.theme, path.resolve(id))) {
+        invalidate();
+      }
+    },
+
+    async generateBundle() {
+      const { assets } = getAssets(await build());
+      assets.forEach(({ filename, source }) =>
+        this.emitFile({ type: "asset", fileName: filename, source })
+      );
+    },
+
+    async transformIndexHtml() {
+      let manifest;
+      try {
+        ({ manifest } = getAssets(await build()));
+      } catch (_) {
+        // Reported by the build, the page still loads with antd's default theme
+        return [];
+      }
+
+      return getHtmlTags(themeOptions, manifest.url).map(tag => ({
+        tag: tag.tagName,
+        attrs: tag.attributes,
+        children: tag.innerHTML,
+        injectTo: "head"
+      }));
+    },
+
+    configureServer(server) {
+      let watched = null;
+      const watchTheme = built => {
+        // antd lives in node_modules, which vite doesn't watch by default
+        if (built !== watched) {
+          server.watcher.add(
+            built.theme.fileDependencies.concat(built.theme.contextDependencies)
+          );
+          watched = built;
+        }
+
+        return built;
+      };
+
+      // Started right away, requests wait for it
+      build().then(watchTheme, () => {});
+
+      server.watcher.on("all", (event, file) => {
+        const changed = path.resolve(file);
+        const affectsTheme = entry
+          ? isThemeFile(entry.theme, changed)
+          : building && path.extname(changed) === ".less";
+        if (affectsTheme) {
+          invalidate();
+          server.ws.send({ type: "full-reload" });
+        }
+      });
+
+      // Only files of publicPath with the extension of a theme file can be one, other requests
+      // don't wait for the build
+      const assetExtensions = [
+        themeOptions.filename || getDefaultFilename(themeOptions),
+        themeOptions.themeFilename,
+        themeOptions.manifestFilename
+      ].map(filename => path.extname(filename));
+      server.middlewares.use((req, res, next) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        const publicDir = new URL(
+          themeOptions.publicPath || base,
+          "http://localhost/"
+        ).pathname;
+        if (
+          !pathname.startsWith(publicDir) ||
+          !assetExtensions.includes(path.extname(pathname))
+        ) {
+          return next();
+        }
+
+        build()
+          .then(watchTheme)
+          .then(
+            built => {
+              const asset = getAssets(built).assets.find(
+                ({ filename }) =>
+                  new URL(
+                    `${themeOptions.publicPath || base}${filename}`,
+                    "http://localhost/"
+                  ).pathname === pathname
+              );
+              if (!asset) {
+                return next();
+              }
+
+              res.setHeader(
+                "Content-Type",
+                contentTypes[path.extname(asset.filename)] || "text/plain"
+              );
+              res.end(asset.source);
+            },
+            () => next()
+          );
+      });
+    }
+  };
+}
+
+module.exports = antdThemePlugin;